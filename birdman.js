@@ -2,14 +2,42 @@
 //
 // leftWingId, rightWingId: ids of the left and right hand controllers, both need the wing component
 // rigId: id of the rig entity, which encapsulates the camera and controllers
+// mass_kg: mass of the bird(wo)man, heavier birds need more speed to stay in the air
+// wingArea_m2: total surface of both wings
+// liftCoefficient: maximum lift coefficient of the wings, below the speed it can carry the weight at, the rig stalls
+// dragCoefficient: drag coefficient, together with liftCoefficient it sets the glide ratio
+// maxSpeed_mps: maximum speed in meters per second relative to the air
+// flapStrength: acceleration per meter per second of the wing strokes, arms are far too weak to fly otherwise
+// wind: wind velocity in meters per second in scene coordinates, i.e. x to the east and z to the south
+// collide: set to false to fly through buildings; otherwise the rig lands on the ground and on roofs of osm-geojson
+//   and slides along walls, with osm-terrain the ground follows the terrain
+// radius_m: distance in meters the rig keeps from walls
+// crashSpeed_mps: hitting a wall faster than this bounces the rig back and emits a birdman-crash event with {speed_mps}
+// bounce: share of the speed kept when bouncing off a wall, 0 stops at the wall
+//
+// The rig flies like a glider, which settles into its glide angle and stalls when it gets too slow, e.g. when
+// flapping stops. Moving both controllers down pushes the rig up and forward, holding one arm higher banks the wings,
+// so the tilted lift turns the rig into a curve. The rig's velocity in meters per second is available as velocity,
+// e.g. to launch it, and a birdman-stall event with {stalled} is emitted when it stalls or recovers.
 
 AFRAME.registerComponent('birdman', {
   schema: {
     leftWingId: {type: 'string', default: 'leftHand'}, // id of the left hand controller
     rightWingId: {type: 'string', default: 'rightHand'}, // id of the right hand controller
     rigId: {type: 'string', default: 'rig'}, // id of the rig
+    mass_kg: {type: 'number', default: 60}, // mass of the flyer
+    wingArea_m2: {type: 'number', default: 4}, // total wing surface
+    liftCoefficient: {type: 'number', default: 1.3}, // maximum lift coefficient (made up)
+    dragCoefficient: {type: 'number', default: 0.12}, // drag coefficient (made up)
+    maxSpeed_mps: {type: 'number', default: 30}, // maximum airspeed
+    flapStrength: {type: 'number', default: 5}, // acceleration per stroke speed
+    wind: {type: 'vec3', default: {x: 0, y: 0, z: 0}}, // wind velocity in scene coordinates
+    collide: {type: 'boolean', default: true}, // collide with buildings and the ground
+    radius_m: {type: 'number', default: 0.5}, // distance kept from walls
+    crashSpeed_mps: {type: 'number', default: 5}, // bounce off walls when hitting them faster
+    bounce: {type: 'number', default: 0.5}, // share of the speed kept when bouncing
   },
-  
+
   init: function() {
     this.leftWing = document.getElementById(this.data.leftWingId);
     this.rightWing = document.getElementById(this.data.rightWingId);
@@ -19,83 +47,180 @@ AFRAME.registerComponent('birdman', {
     this.rigPos = document.getElementById(this.data.rigId).object3D.position;
     this.rigRot = document.getElementById(this.data.rigId).object3D.rotation;
 
-    this.dir = new THREE.Vector3(0, 0, 0); // horizontal movement direction
+    this.velocity = new THREE.Vector3(0, 0, 0); // in meters per second
+    this.stalled = false;
 
-    this.VAXIS = new THREE.Vector3(0, 1, 0);
+    this.MAX_DELTA_S = 0.1; // longer frames, e.g. after switching tabs, are slowed down to this time step
+    this.CLIMB_M = 1; // the rig steps onto surfaces up to this height above it, higher ones block it like walls
+    this.ground = 0; // height of the ground or roof below the rig
   },
 
   tick: function (time, timeDelta) {
-    let leftDir = this.leftWing.components.wing.dir;
-    let rightDir = this.rightWing.components.wing.dir;
-
-    // direction to move the rig
-    let dir = new THREE.Vector3(0, 0, 0);
-    let armWidth = this.leftHand.distanceTo(this.rightHand);
-
-    // go up when moving down both controllers
-    let bothControllersMovingDown = leftDir.y >= 0 && rightDir.y >= 0;
-    if (bothControllersMovingDown) {
-      // move up when controller is moving down, move faster with wider arm span
-      dir.y = (leftDir.y + rightDir.y) * (armWidth + 0.5);
-      dir.x = leftDir.x + rightDir.x;
-      dir.z = leftDir.z + rightDir.z;
+    let delta_s = Math.min(timeDelta / 1000, this.MAX_DELTA_S);
+    if (!(delta_s > 0)) {
+      return;
+    }
+    let input = {
+      leftStroke: this.leftWing.components.wing.velocity,
+      rightStroke: this.rightWing.components.wing.velocity,
+      armWidth_m: this.leftHand.distanceTo(this.rightHand),
+      armHeightDiff_m: this.leftHand.y - this.rightHand.y
+    };
+    let state = {velocity: this.velocity, heading: this.rigRot.y, onGround: this.rigPos.y <= this.ground};
+    let next = this.step(state, input, this.data, delta_s);
+    this.velocity.copy(next.velocity);
+    this.rigRot.y = next.heading;
+    if (next.stalled != this.stalled) {
+      this.stalled = next.stalled;
+      this.el.emit('birdman-stall', {stalled: next.stalled});
     }
 
-    // glide if we're above ground
-    if (this.rigPos.y > 0) {
-      const WEIGHT = 60; // kg
-      const SURFACE = 4; // total wing surface in square meters
-      const UPLIFT = 1.3; // uplift coefficient at sea level (made up)
-      let vspeed = this.vSpeed_mps(WEIGHT, SURFACE, UPLIFT, 0.2);
-      let hspeed = this.hSpeed_mps(WEIGHT, SURFACE, UPLIFT, 1.0);
+    let move = this.velocity.clone().multiplyScalar(delta_s);
+    if (this.data.collide) {
+      this.collide(move);
+    }
+    this.rigPos.add(move);
+    if (this.data.collide) {
+      // land on the ground or a roof
+      this.ground = this.heightAt(this.rigPos.x, this.rigPos.z, this.rigPos.y + this.CLIMB_M);
+    } else {
+      this.ground = 0;
+    }
+    if (this.rigPos.y <= this.ground) {
+      this.rigPos.y = this.ground;
+      this.velocity.set(0, Math.max(0, this.velocity.y), 0);
+    }
+  },
 
-      // glide down
-      dir.y -= vspeed * timeDelta / 1000;
+  // compute the flight for delta_s seconds, without side effects so it gives the same result on every device
+  // state is {velocity, heading, onGround} with the velocity in meters per second and the rig's rotation around y
+  // input is {leftStroke, rightStroke, armWidth_m, armHeightDiff_m}, the wings' velocities relative to the rig
+  //   (opposite to the controllers' movement) and the distance and height difference of the controllers
+  // params are the component's data
+  // returns the new {velocity, heading, stalled}
+  step: function(state, input, params, delta_s) {
+    const GRAVITY = 9.81; // meters per second squared
+    const AIR_DENSITY = 1.225; // kilograms per cubic meter at sea level
+    const SUBSTEP_S = 1 / 120; // longer steps are split, so the result doesn't depend on the frame rate
+    const TRIM_RATE = 0.5; // how fast the flight path returns to the glide angle, in radians per second per radian
+    const CRUISE_LIFT = 0.7; // share of the maximum lift used when gliding, the rest is the margin to a stall
+    const MAX_BANK = Math.PI / 3;
+    const UP = new THREE.Vector3(0, 1, 0);
 
-      // slow down horizontal movement with some resistance
-      let slow_down_factor = 0.99;
-      if (this.dir.length() * 1000 / timeDelta > 2 * hspeed) {
-        this.dir.x *= slow_down_factor;
-        this.dir.z *= slow_down_factor;
-      }
+    let velocity = state.velocity.clone();
+    let heading = state.heading;
+    let stalled = false;
 
-      // rotate if hands are at different heights
-      let armHeightDiff = this.leftHand.y - this.rightHand.y;
-      let areHandsDifferentHeight = Math.abs(armHeightDiff) > 0.2;
-      if (areHandsDifferentHeight) {
-        let angle = Math.tan(armHeightDiff / armWidth);
-        this.rigRot.y -= angle / 100;
-      }      
-    } else {
-      // stop gliding when we're on the ground
-      this.dir.set(0, 0, 0);
+    // both wings moving down push the rig opposite to their strokes, more with a wider arm span
+    let flap = new THREE.Vector3(0, 0, 0);
+    if (input.leftStroke.y >= 0 && input.rightStroke.y >= 0) {
+      flap.addVectors(input.leftStroke, input.rightStroke).multiplyScalar(params.flapStrength * (input.armWidth_m + 0.5));
     }
+    // the line between the hands is the tilt of the wings, the left hand higher banks to the right
+    let bank = THREE.MathUtils.clamp(Math.atan2(input.armHeightDiff_m, input.armWidth_m), -MAX_BANK, MAX_BANK);
+    let glideAngle = -Math.atan(params.dragCoefficient / (CRUISE_LIFT * params.liftCoefficient));
 
-    // rotate the direction vector with the rig rotation
-    dir.applyAxisAngle(this.VAXIS, this.rigRot.y);
-
-    this.rigPos.add(dir);
-    this.rigPos.add(this.dir);
+    let steps = Math.ceil(delta_s / SUBSTEP_S);
+    let dt_s = delta_s / steps;
+    for (let i = 0; i < steps; i++) {
+      let acceleration = flap.clone().applyAxisAngle(UP, heading);
+      acceleration.y -= GRAVITY;
+      if (!state.onGround) {
+        let air = velocity.clone().sub(params.wind);
+        let speed = air.length();
+        let forward = air.clone().divideScalar(speed || 1);
+        let pressure = 0.5 * AIR_DENSITY * speed * speed * params.wingArea_m2;
+        acceleration.addScaledVector(forward, -pressure * params.dragCoefficient / params.mass_kg);
+        // without airflow across the wings, e.g. when falling straight down, they don't lift
+        let right = forward.clone().cross(UP);
+        stalled = right.lengthSq() < 1e-6;
+        if (!stalled) {
+          // lift is perpendicular to the airflow and tilted with the wings
+          right.normalize();
+          let lift = right.clone().cross(forward).multiplyScalar(Math.cos(bank)).addScaledVector(right, Math.sin(bank));
+          // like a trimmed glider, the wings carry the weight and steer towards the glide angle, as far as the
+          // speed allows: needing more than the maximum lift is a stall, so the rig drops until it's fast enough
+          let pathAngle = Math.asin(THREE.MathUtils.clamp(forward.y, -1, 1));
+          let needed_N = params.mass_kg * (GRAVITY * Math.cos(pathAngle)
+            + TRIM_RATE * speed * (glideAngle - pathAngle)) / Math.cos(bank);
+          let maximum_N = pressure * params.liftCoefficient;
+          stalled = needed_N > maximum_N;
+          let lift_N = THREE.MathUtils.clamp(needed_N, 0, maximum_N);
+          acceleration.addScaledVector(lift, lift_N / params.mass_kg);
+          // the sideways part of the lift bends the flight path, and the rig turns with it
+          let horizontalSpeed = Math.hypot(air.x, air.z);
+          if (horizontalSpeed > 0) {
+            heading -= lift_N * Math.sin(bank) / params.mass_kg / horizontalSpeed * dt_s;
+          }
+        }
+      }
+      velocity.addScaledVector(acceleration, dt_s);
+      if (state.onGround && velocity.y <= 0) {
+        // standing until the wings lift the rig
+        velocity.set(0, 0, 0);
+      }
+      let air = velocity.clone().sub(params.wind);
+      if (air.length() > params.maxSpeed_mps) {
+        velocity.copy(air.setLength(params.maxSpeed_mps).add(params.wind));
+      }
+    }
+    return {velocity: velocity, heading: heading, stalled: stalled};
+  },
 
-    // add part of the controller direction to the gliding direction
-    let factor = 1;
-    this.dir.x += dir.x * factor;
-    this.dir.z += dir.z * factor;
+  // get the osm-geojson components of the scene, whose buildings the rig collides with
+  maps: function() {
+    return Array.from(this.el.sceneEl.querySelectorAll('[osm-geojson]'), el => el.components['osm-geojson'])
+      .filter(map => map);
   },
 
-  // calculate vertical speed in meters per second
-  vSpeed_mps: function(weight, surface, uplift, drag, density = 1.225) {
-    const g = 9.81; // gravity in meters per second squared
-    // calculate vertical speed in meters per second
-    let wingLoading = weight / surface;
-    return drag * Math.sqrt(2 * g * wingLoading / (density * uplift**3));
+  // get the height of the ground or the highest roof below x, z up to maxY, 0 without osm-geojson
+  heightAt: function(x, z, maxY) {
+    let maps = this.maps();
+    return maps.length ? Math.max(...maps.map(map => map.heightAt(x, z, maxY))) : 0;
   },
-  
-  // calculate horizontal speed in meters per second
-  hSpeed_mps: function(weight, surface, uplift, drag, density = 1.225) {
-    const g = 9.81; // gravity in meters per second squared
-    // calculate horizontal speed in meters per second
-    let wingLoading = weight / surface;
-    return drag * Math.sqrt(2 * g * wingLoading / (density * uplift));
+
+  // keep the rig's horizontal movement out of buildings, it slides along walls or bounces off when crashing
+  // move is the rig's movement in this tick in meters, it's changed in place like the velocity
+  collide: function(move) {
+    // check twice, as sliding along a wall can run into another one in corners
+    for (let i = 0; i < 2; i++) {
+      let direction = new THREE.Vector3(move.x, 0, move.z);
+      let distance = direction.length();
+      if (distance == 0) {
+        return;
+      }
+      direction.divideScalar(distance);
+      let origin = this.rigPos.clone();
+      origin.y += this.CLIMB_M;
+      let hit = null;
+      for (let map of this.maps()) {
+        let mapHit = map.raycast(origin, direction, distance + this.data.radius_m);
+        if (mapHit && (!hit || mapHit.distance < hit.distance)) {
+          hit = mapHit;
+        }
+      }
+      if (!hit) {
+        return;
+      }
+      // push back horizontally, so sloped walls and roof edges don't lift or push down the rig
+      let normal = hit.normal.setY(0);
+      if (normal.lengthSq() == 0) {
+        return;
+      }
+      normal.normalize();
+      // stop radius_m in front of the wall, the rest of the movement goes along it
+      let towards = -move.dot(normal);
+      let gap = hit.distance * -direction.dot(normal) - this.data.radius_m;
+      move.addScaledVector(normal, towards - Math.max(0, Math.min(towards, gap)));
+      // the velocity is reflected when crashing, otherwise it continues along the wall
+      let speed_mps = -this.velocity.dot(normal);
+      if (speed_mps > 0) {
+        let crashed = speed_mps > this.data.crashSpeed_mps;
+        this.velocity.addScaledVector(normal, speed_mps * (crashed ? 1 + this.data.bounce : 1));
+        if (crashed) {
+          this.el.emit('birdman-crash', {speed_mps: speed_mps});
+        }
+      }
+    }
   }
 })
@@ -0,0 +1,47 @@
+// Aframe component to place an entity at given geocoordinates, e.g. markers, 3d models or labels
+//
+// <a-entity geo-anchor="lat: 52.5163; lon: 13.3777; alt: 10" gltf-model="#gate"></a-entity>
+//
+// lat, lon: position of the entity in degrees
+// alt: height in meters above the scene's ground (y = 0)
+//
+// The entity is positioned relative to the scene's origin of the osm-geo system, which osm-tiles and osm-geojson
+// set to their lat/lon. It's moved automatically when the origin changes, e.g. when loading another location
+// or when osm-origin moves the origin on long flights. Until the origin is known, the entity stays where it is.
+// Put it directly into the scene or into an entity that isn't moved, otherwise its parent's position is added.
+
+AFRAME.registerComponent('geo-anchor', {
+  schema: {
+    lat: {type: 'number'},
+    lon: {type: 'number'},
+    alt: {type: 'number', default: 0}
+  },
+
+  init: function () {
+    this.geo = this.el.sceneEl.systems['osm-geo'];
+    this.onOriginChanged = this.onOriginChanged.bind(this);
+    this.el.sceneEl.addEventListener('osm-geo-origin', this.onOriginChanged);
+  },
+
+  update: function () {
+    this.updatePosition();
+  },
+
+  remove: function () {
+    this.el.sceneEl.removeEventListener('osm-geo-origin', this.onOriginChanged);
+  },
+
+  onOriginChanged: function () {
+    this.updatePosition();
+  },
+
+  // Move the entity to its geocoordinates relative to the current origin
+  updatePosition: function() {
+    let origin = this.geo.origin;
+    if (!origin) {
+      return;
+    }
+    let [x_m, z_m] = osmGeo.latlon2plane_m(this.data.lat, this.data.lon, origin.lat, origin.lon);
+    this.el.object3D.position.set(x_m, this.data.alt, z_m);
+  }
+});
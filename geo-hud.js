@@ -0,0 +1,300 @@
+// Aframe component for a head-up display with the position on the map, altitude, heading, speed and a minimap
+//
+// Add it to an entity in front of the camera for a head-locked display, or to a hand controller for a wrist display:
+// <a-entity id="head" camera>
+//   <a-entity geo-hud="trackId: head; fields: latlon, altitude, heading, speed" position="0 -0.3 -0.7"></a-entity>
+// </a-entity>
+//
+// trackId: id of the element whose position and direction is shown, usually the camera
+// fields: comma separated fields to show, in this order:
+//   latlon: latitude and longitude in degrees, from the scene position and the origin of the osm-geo system
+//   altitude: height in meters above the ground or roof below, with osm-geojson and osm-terrain
+//   heading: compass direction the element looks at, in degrees clockwise from north
+//   speed: speed in km/h, birdman's if the element has it, otherwise from the element's movement
+//   position, rotation: scene position in meters and rotation in degrees, e.g. for debugging like log2hud
+// precision: number of decimals of latitude and longitude
+// width_m: width of the text panel in meters
+// color, background, opacity: colour of the text and colour and opacity of the panels
+// font: msdf font of the text, the default has the degree sign, which A-Frame's built-in fonts lack, see osm-info
+// minimap: set to false to hide the map next to the text
+// minimapSize_m: width and height of the minimap in meters
+// minimapRadius_m: distance in meters from the center to the edge of the minimap
+// minimapZoom: zoom level of the map tiles, use a coarser one for larger radii
+// minimapResolution: width and height of the minimap texture in pixels
+// interval_ms: time between updates of the display
+//
+// The minimap is north up, with an arrow for the position and heading. It shows the map of the first osm-tiles
+// component of the scene, its images up to maxNativeZoom or its vector tiles with vectorUrl, or OpenStreetMap's tiles
+// without one. The tile server has to allow cross-origin requests.
+
+AFRAME.registerComponent('geo-hud', {
+  schema: {
+    trackId: {type: 'string', default: 'head'},
+    fields: {type: 'array', default: ['latlon', 'altitude', 'heading', 'speed']},
+    precision: {type: 'number', default: 5},
+    width_m: {type: 'number', default: 0.3},
+    color: {type: 'color', default: '#fff'},
+    background: {type: 'color', default: '#000'},
+    opacity: {type: 'number', default: 0.5},
+    font: {type: 'string', default: 'fonts/Roboto-LatinExt-msdf.json'},
+    minimap: {type: 'boolean', default: true},
+    minimapSize_m: {type: 'number', default: 0.15},
+    minimapRadius_m: {type: 'number', default: 300},
+    minimapZoom: {type: 'number', default: 16},
+    minimapResolution: {type: 'number', default: 256},
+    interval_ms: {type: 'number', default: 100}
+  },
+
+  init: function () {
+    this.DEFAULT_TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+    this.COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+    this.GAP_M = 0.01; // distance between the text panel and the minimap
+    this.MAX_IMAGES = 64; // number of tile images and vector tile canvases kept for the minimap
+    this.images = new Map(); // maps tile urls to their images or canvases, least recently used first
+    this.lastUpdate = 0;
+    this.lastPosition = null; // position at the last update, for the speed without birdman
+    this.position = new THREE.Vector3();
+    this.direction = new THREE.Vector3();
+    this.velocity = new THREE.Vector3();
+
+    this.textEl = document.createElement('a-entity');
+    this.el.appendChild(this.textEl);
+    this.canvas = document.createElement('canvas');
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    this.texture.colorSpace = THREE.SRGBColorSpace;
+    this.minimapEl = document.createElement('a-entity');
+    this.minimapEl.setObject3D('mesh', new THREE.Mesh(new THREE.PlaneGeometry(1, 1),
+      new THREE.MeshBasicMaterial({map: this.texture, transparent: true})));
+    this.el.appendChild(this.minimapEl);
+    this.onOriginShift = this.onOriginShift.bind(this);
+    this.el.sceneEl.addEventListener('osm-origin', this.onOriginShift);
+  },
+
+  update: function () {
+    let data = this.data;
+    this.trackElement = document.getElementById(data.trackId);
+    // the text component fits the plane's height to the text, as it's set to 0
+    this.textEl.setAttribute('geometry', {primitive: 'plane', width: data.width_m, height: 0});
+    this.textEl.setAttribute('material', {color: data.background, opacity: data.opacity, transparent: true,
+      shader: 'flat'});
+    // fonts made with msdf-bmfont-xml aren't negated like A-Frame's built-in ones
+    this.textEl.setAttribute('text', {color: data.color, align: 'left', width: data.width_m * 0.9, wrapCount: 24,
+      baseline: 'center', zOffset: 0.001, font: data.font, negate: false});
+    this.canvas.width = this.canvas.height = data.minimapResolution;
+    this.images.clear(); // vector tiles are drawn at the resolution
+    this.texture.dispose(); // it's uploaded again with the new size
+    // the minimap is left of the text, both together are centered on the entity
+    let size = data.minimapSize_m;
+    let left = data.minimap ? -(size + this.GAP_M + data.width_m) / 2 : -data.width_m / 2;
+    this.minimapEl.object3D.visible = data.minimap;
+    this.minimapEl.object3D.position.set(left + size / 2, 0, 0);
+    this.minimapEl.object3D.scale.set(size, size, 1);
+    this.textEl.object3D.position.set(left + (data.minimap ? size + this.GAP_M : 0) + data.width_m / 2, 0, 0);
+    this.lastUpdate = 0;
+  },
+
+  remove: function () {
+    this.el.sceneEl.removeEventListener('osm-origin', this.onOriginShift);
+    this.el.removeChild(this.textEl);
+    this.el.removeChild(this.minimapEl);
+    this.minimapEl.getObject3D('mesh').geometry.dispose();
+    this.minimapEl.getObject3D('mesh').material.dispose();
+    this.texture.dispose();
+  },
+
+  tick: function (time) {
+    if (!this.trackElement || time - this.lastUpdate < this.data.interval_ms) {
+      return;
+    }
+    let delta_s = (time - this.lastUpdate) / 1000;
+    this.lastUpdate = time;
+    let object = this.trackElement.object3D;
+    object.getWorldPosition(this.position);
+    // the camera looks along its negative z axis, x points east and z south in the scene
+    object.getWorldDirection(this.direction).negate();
+    let heading = (THREE.MathUtils.radToDeg(Math.atan2(this.direction.x, -this.direction.z)) + 360) % 360;
+    let birdman = this.trackElement.components.birdman;
+    if (birdman) {
+      this.velocity.copy(birdman.velocity);
+    } else if (this.lastPosition && delta_s < 1) {
+      this.velocity.subVectors(this.position, this.lastPosition).divideScalar(delta_s);
+    } else {
+      this.velocity.set(0, 0, 0);
+    }
+    this.lastPosition = this.position.clone();
+
+    let origin = this.el.sceneEl.systems['osm-geo'].origin;
+    let latlon = origin ? osmGeo.plane2latlon(this.position.x, this.position.z, origin.lat, origin.lon) : null;
+    let lines = this.data.fields.map(field => this.formatField(field, latlon, heading, object)).filter(line => line);
+    this.textEl.setAttribute('text', 'value', lines.join('\n'));
+    if (this.data.minimap) {
+      this.drawMinimap(latlon, heading);
+    }
+  },
+
+  // Move the last position with the world when the osm-origin system shifts it, so it doesn't count as speed
+  onOriginShift: function(event) {
+    if (this.lastPosition) {
+      this.lastPosition.sub(event.detail.shift);
+    }
+  },
+
+  // Get the line of the HUD for a field, null for unknown fields
+  formatField: function(field, latlon, heading, object) {
+    if (field == 'latlon') {
+      if (!latlon) {
+        return 'Position: unknown';
+      }
+      let [lat, lon] = latlon;
+      return `${Math.abs(lat).toFixed(this.data.precision)}° ${lat < 0 ? 'S' : 'N'}, `
+        + `${Math.abs(lon).toFixed(this.data.precision)}° ${lon < 0 ? 'W' : 'E'}`;
+    } else if (field == 'altitude') {
+      return `Altitude: ${Math.round(this.position.y - this.groundHeight())} m`;
+    } else if (field == 'heading') {
+      let point = this.COMPASS_POINTS[Math.round(heading / 45) % 8];
+      return `Heading: ${Math.round(heading) % 360}° ${point}`;
+    } else if (field == 'speed') {
+      return `Speed: ${Math.round(this.velocity.length() * 3.6)} km/h`;
+    } else if (field == 'position') {
+      return 'pos: ' + this.position.toArray().map(value => value.toFixed(1)).join(' ');
+    } else if (field == 'rotation') {
+      return 'rot: ' + [object.rotation.x, object.rotation.y, object.rotation.z]
+        .map(value => THREE.MathUtils.radToDeg(value).toFixed(0)).join(' ');
+    }
+    return null;
+  },
+
+  // Get the height of the ground or roof below the tracked element, 0 without osm-geojson
+  groundHeight: function() {
+    let maps = Array.from(this.el.sceneEl.querySelectorAll('[osm-geojson]'), el => el.components['osm-geojson'])
+      .filter(map => map);
+    return maps.length ? Math.max(...maps.map(map => map.heightAt(this.position.x, this.position.z,
+      this.position.y))) : 0;
+  },
+
+  // Get the image of a map tile and the part of it to draw, [image, area] with area [x, y, size] as fractions
+  // Beyond osm-tiles' maxNativeZoom, the image is that zoom level's tile containing the tile; with its vectorUrl, it's
+  // a canvas with the tile drawn from the vector tile
+  tileImage: function(x, y, zoom) {
+    let tilesEl = this.el.sceneEl.querySelector('[osm-tiles]');
+    let tiles = tilesEl && tilesEl.components['osm-tiles'];
+    if (!tiles) {
+      let url = this.DEFAULT_TILE_URL.replace('{z}', zoom).replace('{x}', x).replace('{y}', y);
+      return [this.cachedImage(url, () => this.loadImage(url)), [0, 0, 1]];
+    }
+    if (tiles.data.vectorUrl) {
+      let key = `${tiles.data.vectorUrl} ${zoom}/${x}/${y}`;
+      return [this.cachedImage(key, () => this.drawVectorTile(tiles, key, x, y, zoom)), [0, 0, 1]];
+    }
+    let [nativeX, nativeY, nativeZoom, area] = tiles.nativeTile(x, y, zoom, tiles.data.maxNativeZoom);
+    let url = tiles.tileUrl(nativeX, nativeY, nativeZoom);
+    return [this.cachedImage(url, () => this.loadImage(url)), area];
+  },
+
+  // Get the image or canvas kept for a key, or create it, dropping the least recently used ones beyond MAX_IMAGES
+  cachedImage: function(key, create) {
+    let image = this.images.get(key);
+    if (image) {
+      this.images.delete(key); // move to the end, as most recently used
+    } else {
+      image = create();
+    }
+    this.images.set(key, image);
+    while (this.images.size > this.MAX_IMAGES) {
+      this.images.delete(this.images.keys().next().value);
+    }
+    return image;
+  },
+
+  // Start loading a tile image, which is drawn once it's loaded
+  // It's kept with its url as key, a failed one is dropped like in drawVectorTile
+  loadImage: function(url) {
+    let image = new Image();
+    image.crossOrigin = 'anonymous'; // otherwise the canvas can't be used as texture
+    image.onerror = () => {
+      console.warn('geo-hud: failed to load tile', url);
+      if (this.images.get(url) === image) {
+        this.images.delete(url); // try again next time
+      }
+    };
+    image.src = url;
+    return image;
+  },
+
+  // Get a canvas with a tile drawn from osm-tiles' vector tile and style, once the vector tile is loaded
+  // Tiles beyond vectorMaxZoom share the vector tile, each is drawn from its part of it like in osm-tiles
+  drawVectorTile: function(tiles, key, x, y, zoom) {
+    let [nativeX, nativeY, nativeZoom, area] = tiles.nativeTile(x, y, zoom, tiles.data.vectorMaxZoom);
+    let url = tiles.vectorTileUrl(nativeX, nativeY, nativeZoom);
+    let canvas = document.createElement('canvas');
+    canvas.width = canvas.height = this.data.minimapResolution;
+    let metersPerPixel = osmGeo.lat2tileWidth_m(osmGeo.tileId2latlon(x, y + 0.5, zoom)[0], zoom) / canvas.width;
+    canvas.drawn = false; // drawMinimap skips it until then
+    Promise.all([tiles.vectorStyle, tiles.fetchVectorTile(url)]).then(([style, layers]) => {
+      osmMvt.drawCanvas(canvas, layers, style, zoom, area, metersPerPixel);
+      canvas.drawn = true;
+    }).catch(error => {
+      console.warn('geo-hud: failed to draw vector tile', url, error);
+      if (this.images.get(key) === canvas) {
+        this.images.delete(key); // try again next time
+      }
+    });
+    return canvas;
+  },
+
+  // Draw the map tiles around latlon into the round minimap, north up, with an arrow for the heading
+  drawMinimap: function(latlon, heading) {
+    let context = this.canvas.getContext('2d');
+    let size = this.canvas.width;
+    context.clearRect(0, 0, size, size);
+    context.save();
+    context.beginPath();
+    context.arc(size / 2, size / 2, size / 2 - 1, 0, 2 * Math.PI);
+    context.fillStyle = this.data.background;
+    context.fill();
+    context.clip();
+    if (latlon) {
+      let zoom = this.data.minimapZoom;
+      let [tileX, tileY] = osmGeo.latlon2fractionalTileId(latlon[0], latlon[1], zoom);
+      let tileSize = size * osmGeo.lat2tileWidth_m(latlon[0], zoom) / (2 * this.data.minimapRadius_m); // pixels
+      let radius = size / 2 / tileSize; // in tiles
+      let nTiles = 2 ** zoom;
+      for (let y = Math.floor(tileY - radius); y < tileY + radius; y++) {
+        for (let x = Math.floor(tileX - radius); x < tileX + radius; x++) {
+          if (y < 0 || y >= nTiles) {
+            continue;
+          }
+          let [image, area] = this.tileImage((x + nTiles) % nTiles, y, zoom);
+          if (image.drawn || (image.complete && image.naturalWidth > 0)) {
+            let imageSize = image.naturalWidth || image.width;
+            context.drawImage(image, area[0] * imageSize, area[1] * imageSize, area[2] * imageSize,
+              area[2] * imageSize, size / 2 + (x - tileX) * tileSize, size / 2 + (y - tileY) * tileSize,
+              tileSize + 0.5, tileSize + 0.5);
+          }
+        }
+      }
+    }
+    context.restore();
+    // the arrow points up for north and turns clockwise with the heading
+    context.save();
+    context.translate(size / 2, size / 2);
+    context.rotate(THREE.MathUtils.degToRad(heading));
+    context.beginPath();
+    context.moveTo(0, -size * 0.08);
+    context.lineTo(size * 0.05, size * 0.06);
+    context.lineTo(0, size * 0.03);
+    context.lineTo(-size * 0.05, size * 0.06);
+    context.closePath();
+    context.fillStyle = '#e33';
+    context.fill();
+    context.lineWidth = size / 128;
+    context.strokeStyle = '#fff';
+    context.stroke();
+    context.restore();
+    context.font = `bold ${Math.round(size / 12)}px sans-serif`;
+    context.textAlign = 'center';
+    context.fillStyle = this.data.color;
+    context.fillText('N', size / 2, size / 10);
+    this.texture.needsUpdate = true;
+  }
+});
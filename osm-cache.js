@@ -0,0 +1,161 @@
+// Aframe system to cache map tiles and building data persistently in IndexedDB, for places with bad or no network
+//
+// Including this file enables the cache for osm-tiles and osm-geojson, configure it on the scene:
+// <a-scene osm-cache="maxSize_mb: 500; maxAge_days: 30">
+//
+// enabled: set to false to disable the cache without removing the script
+// name: name of the IndexedDB database, e.g. to keep separate caches per project on the same host
+// maxSize_mb: maximum size of all entries, the least recently used entries are removed when it's exceeded
+// maxAge_days: entries older than this are ignored and loaded again, 0 keeps them forever
+//
+// prefetch(south, west, north, east) loads tiles and buildings of all osm-tiles and osm-geojson components
+// for the given bounding box into the cache, e.g. to prepare a demo before going on site:
+// document.querySelector('a-scene').systems['osm-cache'].prefetch(52.51, 13.37, 52.53, 13.42);
+// Please respect the usage policies of the OSM servers and only prefetch small areas from them.
+//
+// The database has two object stores, 'data' maps keys to values and 'meta' keeps {key, size, created, accessed}
+// of each entry, so eviction doesn't need to read the values.
+// Map tiles are stored as image blobs with their url as key, OSM features as geojson per query hash and zoom/x/y tile.
+
+AFRAME.registerSystem('osm-cache', {
+  schema: {
+    enabled: {type: 'boolean', default: true},
+    name: {type: 'string', default: 'osm4vr'},
+    maxSize_mb: {type: 'number', default: 500},
+    maxAge_days: {type: 'number', default: 30}
+  },
+
+  // the web worker of osm-geojson opens the same database with its own instance, see osm-geojson-worker.js
+  init: function () {
+    this.size = 0; // estimated size of all entries in bytes
+    this.db = this.data.enabled ? this.open() : Promise.resolve(null);
+  },
+
+  // Open the database and sum up the size of all entries
+  open: function() {
+    return new Promise((resolve) => {
+      let request = indexedDB.open(this.data.name, 1);
+      request.onupgradeneeded = () => {
+        let db = request.result;
+        db.createObjectStore('data');
+        db.createObjectStore('meta', {keyPath: 'key'}).createIndex('accessed', 'accessed');
+      };
+      request.onsuccess = () => {
+        let db = request.result;
+        let sizes = db.transaction('meta').objectStore('meta').getAll();
+        sizes.onsuccess = () => {
+          this.size = sizes.result.reduce((sum, meta) => sum + meta.size, 0);
+          resolve(db);
+        };
+        sizes.onerror = () => resolve(db);
+      };
+      request.onerror = () => {
+        // e.g. in private browsing, just work without cache
+        console.warn('osm-cache: IndexedDB not available, caching is disabled', request.error);
+        resolve(null);
+      };
+    });
+  },
+
+  // Wrap an IndexedDB request or transaction in a promise
+  promise: function(request) {
+    return new Promise((resolve, reject) => {
+      if (request instanceof IDBTransaction) {
+        request.oncomplete = () => resolve();
+        request.onabort = request.onerror = () => reject(request.error);
+      } else {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }
+    });
+  },
+
+  // Get the value for a key, or undefined if it's not cached or expired
+  get: async function(key) {
+    let db = await this.db;
+    if (!db) {
+      return undefined;
+    }
+    try {
+      let transaction = db.transaction(['data', 'meta'], 'readwrite');
+      let metaStore = transaction.objectStore('meta');
+      let meta = await this.promise(metaStore.get(key));
+      if (!meta) {
+        return undefined;
+      }
+      let maxAge_ms = this.data.maxAge_days * 24 * 60 * 60 * 1000;
+      if (maxAge_ms > 0 && Date.now() - meta.created > maxAge_ms) {
+        metaStore.delete(key);
+        transaction.objectStore('data').delete(key);
+        this.size -= meta.size;
+        return undefined;
+      }
+      // remember the access for the least recently used eviction
+      meta.accessed = Date.now();
+      metaStore.put(meta);
+      return await this.promise(transaction.objectStore('data').get(key));
+    } catch (error) {
+      console.warn('osm-cache: failed to read', key, error);
+      return undefined;
+    }
+  },
+
+  // Store a value for a key, size is its approximate size in bytes
+  // The value is copied right away, so changes the caller makes while the database is busy aren't stored
+  put: async function(key, value, size) {
+    value = structuredClone(value);
+    let db = await this.db;
+    if (!db) {
+      return;
+    }
+    try {
+      let transaction = db.transaction(['data', 'meta'], 'readwrite');
+      let now = Date.now();
+      let old = await this.promise(transaction.objectStore('meta').get(key));
+      transaction.objectStore('data').put(value, key);
+      transaction.objectStore('meta').put({key: key, size: size, created: now, accessed: now});
+      await this.promise(transaction);
+      this.size += size - (old ? old.size : 0);
+    } catch (error) {
+      console.warn('osm-cache: failed to store', key, error);
+      return;
+    }
+    if (this.size > this.data.maxSize_mb * 1024 * 1024) {
+      await this.evict();
+    }
+  },
+
+  // Remove the least recently used entries until the cache is below 90% of its maximum size
+  // The size is summed up again, as the main thread and the web worker both write to the database
+  evict: async function() {
+    let db = await this.db;
+    try {
+      let transaction = db.transaction(['data', 'meta'], 'readwrite');
+      let metaStore = transaction.objectStore('meta');
+      let metas = await this.promise(metaStore.index('accessed').getAll());
+      this.size = metas.reduce((sum, meta) => sum + meta.size, 0);
+      let target = 0.9 * this.data.maxSize_mb * 1024 * 1024;
+      for (let meta of metas) {
+        if (this.size <= target) {
+          break;
+        }
+        metaStore.delete(meta.key);
+        transaction.objectStore('data').delete(meta.key);
+        this.size -= meta.size;
+      }
+      await this.promise(transaction);
+    } catch (error) {
+      console.warn('osm-cache: failed to remove old entries', error);
+    }
+  },
+
+  // Load tiles and buildings within the bounding box into the cache, for all osm-tiles and osm-geojson components
+  // Returns a promise that resolves when everything is stored
+  prefetch: async function(south, west, north, east) {
+    for (let name of ['osm-tiles', 'osm-geojson']) {
+      for (let el of this.sceneEl.querySelectorAll(`[${name}]`)) {
+        await el.components[name].prefetch(south, west, north, east);
+      }
+    }
+  }
+});
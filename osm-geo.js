@@ -0,0 +1,84 @@
+// Web Mercator projection shared by all components, to convert between geocoordinates, tiles and scene meters
+//
+// Include it before the other osm4vr scripts. The functions are available as global osmGeo, e.g. in web workers
+// and before the scene is loaded, and as Aframe system (which also keeps the scene's origin, see below):
+// document.querySelector('a-scene').systems['osm-geo'].latlon2plane_m(52.52, 13.41, 52.5, 13.4)
+//
+// Coordinate systems, see osm-tiles.js for details:
+// * Geocoordinates (lat, lon) in degrees
+// * Tile coordinates (x, y) at a zoom level, 0 to 2^zoom with the fractional part as position within the tile,
+//   see https://wiki.openstreetmap.org/wiki/Slippy_map_tilenames
+// * Plane coordinates (x, z) in meters around an origin (lat, lon), x points east and z south like in Aframe
+//   They're Web Mercator coordinates scaled to real-world size at the origin's latitude, so map tiles and
+//   buildings line up everywhere, while distances far north or south of the origin get increasingly too large.
+
+const osmGeo = {
+  EQUATOR_M: 40075017, // equatorial circumference in meters, the earth is a sphere in Web Mercator
+
+  // Convert latitude to the width of a tile in meters for given zoom level
+  lat2tileWidth_m: function(lat, zoom) {
+    let nTiles = 2 ** zoom;
+    let circumference_m = this.EQUATOR_M * Math.cos(lat * Math.PI / 180);
+    return circumference_m / nTiles;
+  },
+
+  // Convert geocoordinates to tile coordinates for given zoom level
+  // Returns floating point values where
+  // * the integer part is the tile id
+  // * the fractional part is the position within the tile
+  latlon2fractionalTileId: function(lat, lon, zoom) {
+    let nTiles = 2 ** zoom;
+    let latRad = lat * Math.PI / 180;
+    let x = nTiles * (lon + 180) / 360;
+    let y = nTiles * (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2;
+    return [x, y];
+  },
+
+  // Convert fractional tile coordinates at given zoom level to geocoordinates [lat, lon] in degrees
+  tileId2latlon: function(x, y, zoom) {
+    let nTiles = 2 ** zoom;
+    let lon = x / nTiles * 360 - 180;
+    let lat = Math.atan(Math.sinh(Math.PI * (1 - 2 * y / nTiles))) * 180 / Math.PI;
+    return [lat, lon];
+  },
+
+  // Compute the bounding box of a tile at given zoom level in [south,west,north,east] degrees
+  tile2bbox: function(x, y, zoom) {
+    let [north, west] = this.tileId2latlon(x, y, zoom);
+    let [south, east] = this.tileId2latlon(x + 1, y + 1, zoom);
+    return [south, west, north, east];
+  },
+
+  // Convert geocoordinates to [x, z] in meters on the plane around the origin at originLat, originLon
+  latlon2plane_m: function(lat, lon, originLat, originLon) {
+    let [x, y] = this.latlon2fractionalTileId(lat, lon, 0);
+    let [originX, originY] = this.latlon2fractionalTileId(originLat, originLon, 0);
+    let size_m = this.lat2tileWidth_m(originLat, 0);
+    return [(x - originX) * size_m, (y - originY) * size_m];
+  },
+
+  // Convert [x, z] in meters on the plane around the origin at originLat, originLon to geocoordinates [lat, lon]
+  plane2latlon: function(x_m, z_m, originLat, originLon) {
+    let [originX, originY] = this.latlon2fractionalTileId(originLat, originLon, 0);
+    let size_m = this.lat2tileWidth_m(originLat, 0);
+    return this.tileId2latlon(originX + x_m / size_m, originY + z_m / size_m, 0);
+  }
+};
+
+// The system also keeps the geocoordinates of the scene's origin, so content can be placed by lat/lon (see geo-anchor)
+// osm-tiles and osm-geojson set it to their lat/lon, osm-origin when it moves the origin
+// Changes are announced with an osm-geo-origin event with {lat, lon} on the scene
+AFRAME.registerSystem('osm-geo', Object.assign({
+  init: function () {
+    this.origin = null; // {lat, lon} once a component has set it
+  },
+
+  // Set the geocoordinates of the scene's origin, called by the components when their lat/lon changes
+  setOrigin: function(lat, lon) {
+    if (this.origin && this.origin.lat == lat && this.origin.lon == lon) {
+      return;
+    }
+    this.origin = {lat: lat, lon: lon};
+    this.sceneEl.emit('osm-geo-origin', {lat: lat, lon: lon});
+  }
+}, osmGeo));
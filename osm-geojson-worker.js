@@ -0,0 +1,185 @@
+// Web worker for the osm-geojson component, to load buildings from the Overpass API and build their geometry
+// without blocking the main thread; enable it with osm-geojson's workerUrl pointing to this file
+//
+// The worker loads osm-geojson.js with a minimal stand-in for AFRAME, so it runs the component's own methods
+// and builds the same geometry as the component does on the main thread. It uses three.js 0.147, the last release
+// with a build for importScripts, while A-Frame 1.6 comes with r164; the geometry may differ in details that changed
+// in between, e.g. the triangulation of the outlines.
+// There's no scene or DOM in the worker: the component's init, buildGeometry, buildTrees and the loading methods they
+// call run here, as well as the init of the osm-cache, osm-terrain and osm-style systems, which are created without
+// a scene from the data sent by the component. Keep scene access out of those, e.g. in update or addGeometry.
+//
+// Messages from the component:
+// * {type: 'load', id, tiles, data, origin, cache, terrain, style}: load buildings of the [x, y] tiles with the
+//   component's data and origin, and the data of the osm-cache, osm-terrain and osm-style systems (or null without them)
+//   answered with {id, featureIds, shared, buffers, groups, materials, trees, features, replaced} where shared lists
+//   the features other batches built already (see sharedFeatures), buffers maps attribute names to Float32Arrays,
+//   groups and materials are the geometry's material groups and their keys with osm-style, trees is the Float32Array
+//   of buildTrees and features the geometry's vertex ranges (all may be null), replaced lists the buildings that are
+//   replaced by parts of this batch, in this or earlier batches, or {id, error}
+// * {type: 'rebuild', id, batchId, ids, data, origin, cache, terrain, style}: build the features of an unloaded batch
+//   again, from the shared features of the load batchId, answered like 'load'
+// * {type: 'loaded', ids}: mark features as loaded, e.g. from the src asset, so they're skipped later
+// * {type: 'forget', ids, batchId}: forget features of an unloaded batch, so they get loaded again when needed, and the
+//   shared features of the load batchId, answered with {shown} listing the buildings that are no longer replaced by
+//   parts, if there are any
+// * {type: 'reset'}: forget all features, when the component is reset to a new location
+
+importScripts(
+  'https://cdn.jsdelivr.net/npm/three@0.147.0/build/three.min.js',
+  'https://cdn.jsdelivr.net/npm/three@0.147.0/examples/js/utils/BufferGeometryUtils.min.js',
+  'https://unpkg.com/osmtogeojson@3.0.0-beta.5/osmtogeojson.js'
+);
+
+const definitions = {};
+self.AFRAME = {
+  registerComponent: function(name, definition) {
+    definitions[name] = definition;
+  },
+  registerSystem: function(name, definition) {
+    definitions[name] = definition;
+  }
+};
+importScripts('osm-geo.js', 'osm-tile-loader.js', 'osm-geojson.js');
+
+// osm-cache system instance, only loaded when the component uses a cache
+let cache = null;
+
+// Get a cache with the same settings as the main thread's osm-cache system
+function getCache(data) {
+  if (!cache) {
+    importScripts('osm-cache.js');
+    cache = Object.create(definitions['osm-cache']);
+    cache.data = data;
+    cache.init();
+  }
+  return cache;
+}
+
+// osm-terrain system instance, only loaded when the component uses terrain
+let terrain = null;
+
+// Get a terrain with the same settings as the main thread's osm-terrain system
+// Its DEM tiles are loaded separately from the main thread's
+function getTerrain(data) {
+  if (!terrain) {
+    importScripts('osm-terrain.js');
+    terrain = Object.create(definitions['osm-terrain']);
+    terrain.data = data;
+    terrain.init();
+  }
+  return terrain;
+}
+
+// osm-style system instance, only loaded when the component uses styles
+let style = null;
+
+// Get a style with the same settings as the main thread's osm-style system, it only builds geometry here
+function getStyle(data) {
+  if (!style) {
+    importScripts('osm-style.js');
+    style = Object.create(definitions['osm-style']);
+    style.init();
+  }
+  style.data = data; // palettes may change at runtime
+  return style;
+}
+
+// Create a component instance that isn't attached to any scene
+function createComponent() {
+  let component = Object.create(definitions['osm-geojson']);
+  component.init();
+  component.shared = new Map(); // maps the id of each load to its shared features, to build them again
+  return component;
+}
+
+// replaced on reset, so pending loads can't mark features as loaded for the new location
+let component = createComponent();
+
+onmessage = async function(event) {
+  let message = event.data;
+  if (message.type == 'reset') {
+    component = createComponent();
+  } else if (message.type == 'loaded') {
+    for (let id of message.ids) {
+      component.featuresLoaded[id] = true;
+    }
+  } else if (message.type == 'forget') {
+    component.shared.delete(message.batchId);
+    let shown = component.forgetFeatures(message.ids);
+    if (shown.length) {
+      postMessage({shown: shown});
+    }
+  } else if (message.type == 'load') {
+    await load(component, message);
+  } else if (message.type == 'rebuild') {
+    rebuild(component, message);
+  }
+};
+
+// Get a view of the component with the data, origin and systems of a load or rebuild message
+// It shares the loaded features with the component, but loads waiting for the network keep their own settings
+// while later messages are handled, e.g. a load for the new origin after the component moved it
+function configure(component, message) {
+  let view = Object.create(component);
+  view.data = message.data;
+  view.origin = message.origin;
+  view.cache = message.cache ? getCache(message.cache) : null;
+  view.terrain = message.terrain ? getTerrain(message.terrain) : null;
+  view.style = message.style ? getStyle(message.style) : null;
+  return view;
+}
+
+// Load and build the buildings for a load message and post the result back to the component
+async function load(component, message) {
+  try {
+    let view = configure(component, message);
+    let [geojson] = await Promise.all([view.loadTilesGeojson(message.tiles),
+      view.loadTerrain(view.tiles2bbox(message.tiles))]);
+    build(view, message.id, message.id, geojson);
+  } catch (error) {
+    postMessage({id: message.id, error: String(error)});
+  }
+}
+
+// Build the shared features of an earlier load again for a rebuild message and post the result back
+function rebuild(component, message) {
+  try {
+    let view = configure(component, message);
+    let shared = component.shared.get(message.batchId) || new Map();
+    let features = message.ids.filter(id => shared.has(id)).map(id => shared.get(id));
+    build(view, message.id, message.batchId, {type: 'FeatureCollection', features: features});
+  } catch (error) {
+    postMessage({id: message.id, error: String(error)});
+  }
+}
+
+// Build the features of geojson that aren't loaded yet and post them back as the answer to the message id
+// The features other batches built already are kept as shared features of the load batchId
+function build(component, id, batchId, geojson) {
+  let shared = component.sharedFeatures(geojson, id);
+  if (!component.shared.has(batchId)) {
+    component.shared.set(batchId, new Map());
+  }
+  for (let [featureId, feature] of shared) {
+    component.shared.get(batchId).set(featureId, feature);
+  }
+  let geometry = component.buildGeometry(geojson, id);
+  let trees = component.buildTrees(geojson, id);
+  let featureIds = Object.keys(component.featuresLoaded).filter(featureId => component.featuresLoaded[featureId] === id);
+  let buffers = null;
+  if (geometry) {
+    buffers = {};
+    // uv is only needed for the facade textures of osm-style
+    for (let name of geometry.userData.materials ? ['position', 'normal', 'color', 'uv'] : ['position', 'normal', 'color']) {
+      buffers[name] = geometry.getAttribute(name).array;
+    }
+  }
+  let transfer = buffers ? Object.values(buffers).map(array => array.buffer) : [];
+  if (trees) {
+    transfer.push(trees.buffer);
+  }
+  postMessage({id: id, featureIds: featureIds, shared: Array.from(shared.keys()), buffers: buffers, trees: trees,
+    groups: geometry ? geometry.groups : [], materials: geometry ? geometry.userData.materials : null,
+    features: geometry ? geometry.userData.features : null, replaced: component.replaced.splice(0)}, transfer);
+}
@@ -7,33 +7,127 @@
 // zoom: zoom level, to load all buildings of a tile at once (doesn't influence map details)
 //   smaller values load more buildings at once but may slow down rendering, higher values cause more requests
  // trackId: optional id of a scene element for dynamic loading (usually the rig / user position)
+// unloadRadius_m: distance in meters around trackId beyond which loaded buildings are removed again
+//   default is 0 to keep everything, otherwise it should be well above radius_m, e.g. 1500
+// workerUrl: optional url of osm-geojson-worker.js, to load and build buildings from the Overpass API in a web worker
+//   without it, or if the worker can't be started, everything runs on the main thread, which may cause frame drops
+// overpassUrl: url of the Overpass API interpreter, e.g. of your own instance
+// overpassQuery: optional custom Overpass query, with {{bbox}} as placeholder for the bounding box
+//   as the query contains semicolons, set it from javascript: el.setAttribute('osm-geojson', 'overpassQuery', query)
+// maxRequests: maximum number of parallel requests to the Overpass API, further tile batches wait in a queue
+// retries: number of retries for failed requests, with increasing delay
+//   if a batch still fails, its tiles are forgotten and loaded again later
+// roads: set to true to also load roads, railways and paths and show them as flat ribbons on the ground
+// areas: set to true to also load water, parks, woods and landuse areas and show them as coloured ground polygons
+// trees: set to true to also load single trees and tree rows and show them as simple instanced trees
+// ambientOcclusion: set to true to darken walls towards the ground, where less light reaches them
 //
 // The component supports different use cases:
 // * show buildings from a geojson file: set src to the asset url
 // * show buildings around a given lat/lon: set lat, lon and radius_m
 // * keep loading buildings around a moving element: set lat, lon and radius_m, set trackId to the element's id
+//   set unloadRadius_m as well to remove buildings again that are far behind
 // * show buildings of a geojson file and keep loading around a moving element: use all attributes
 //
+// Your own geojson data can be added and removed at runtime as named layers, each with its own style:
+// el.components['osm-geojson'].addLayer('sensors', 'sensors.geojson', {color: '#f80', height_m: 20, radius_m: 2})
+// see addLayer for the style rules and the events emitted on the element.
+//
+// Entities added to the scene have the class collidable, so raycasters can use featureAt to find the hit feature,
+// see osm-info.js which shows the tags of the building a controller points at.
+// heightAt(x, z) returns the height of the ground or the roof below a scene position, and raycast(origin, direction)
+// the closest surface hit by a ray, e.g. for collisions, see birdman.js.
+//
+// If the osm-origin system is included, the origin moves with the user, see rebase.
+// If the osm-terrain system is included, buildings, roads, areas and trees are placed on the terrain,
+// relative to the elevation at lat, lon, which stays at y = 0
+// If the osm-style system is included, walls and roofs get their own colours and materials with facade textures
+//
 // OSM map tiles use the Web Mercator projection, assuming the earth is a sphere
-// OSM features/buildings use the WGS84 ellipsoid (different circumference across equator and poles)
+// OSM features/buildings are projected the same way with osm-geo.js, so they line up with the map
 // While building data is not tiled like the map, we still use a tile system to load efficiently
 
-AFRAME.registerComponent('osm-geojson', {
+AFRAME.registerComponent('osm-geojson', Object.assign({}, osmTileLoader, {
   schema: {
     lat: {type: 'number'},
     lon: {type: 'number'},
     src: {type: 'asset'},
     radius_m: {type: 'number', default: 0},
     zoom: {type: 'number', default: 17},
-    trackId: {type: 'string'}
+    trackId: {type: 'string'},
+    unloadRadius_m: {type: 'number', default: 0},
+    workerUrl: {type: 'string'},
+    overpassUrl: {type: 'string', default: 'https://overpass-api.de/api/interpreter'},
+    overpassQuery: {type: 'string'},
+    maxRequests: {type: 'number', default: 2},
+    retries: {type: 'number', default: 3},
+    roads: {type: 'boolean', default: false},
+    areas: {type: 'boolean', default: false},
+    trees: {type: 'boolean', default: false},
+    ambientOcclusion: {type: 'boolean', default: false}
   },
 
+  // the web worker creates its own instance with init, scene elements are only set up in update
   init: function () {
-    this.EQUATOR_M = 40075017; // equatorial circumference in meters
-    this.POLES_M   = 40007863; // polar circumference in meters
+    this.initTiles();
     this.FEET_TO_METER = 0.3048;
     this.LEVEL_HEIGHT_M = 3; // default height in meters for a single building level
+    // overpass query to get all buildings and building parts, further statements are added for other features
+    // adding skel to the last line may reduce the amount of data: out;>;out skel qt;
+    this.OVERPASS_QUERY = `[out:json][timeout:30];(
+        way["building"]({{bbox}});
+        relation["building"]["type"="multipolygon"]({{bbox}});
+        way["building:part"]({{bbox}});
+        relation["building:part"]["type"="multipolygon"]({{bbox}});
+        relation["type"="building"]({{bbox}});
+        {{statements}}
+        );out;>;out qt;
+        `;
+
+    // default road widths in meters per highway or railway type, if neither width nor lanes are given
+    this.ROAD_WIDTH_M = {
+      'motorway': 12, 'trunk': 10, 'primary': 9, 'secondary': 8, 'tertiary': 7,
+      'motorway_link': 5, 'trunk_link': 5, 'primary_link': 5, 'secondary_link': 5, 'tertiary_link': 5,
+      'residential': 6, 'unclassified': 5, 'living_street': 5, 'pedestrian': 5, 'service': 4, 'track': 3,
+      'footway': 2, 'cycleway': 2, 'steps': 2, 'bridleway': 2, 'path': 1.5,
+      'rail': 3, 'light_rail': 3, 'subway': 3, 'tram': 2.5, 'narrow_gauge': 2.5, 'monorail': 2
+    };
+    this.DEFAULT_ROAD_WIDTH_M = 4;
+    this.LANE_WIDTH_M = 3;
+    this.LAYER_HEIGHT_M = 5; // height of a bridge per layer
+    // roads float a bit above the ground to not disappear in the map tiles, larger roads above smaller ones
+    this.ROAD_HEIGHT_M = {'motorway': 0.2, 'trunk': 0.18, 'primary': 0.16, 'secondary': 0.14, 'tertiary': 0.12};
+    this.DEFAULT_ROAD_HEIGHT_M = 0.1;
+    // styles of ground areas, the height stacks them above the map tiles and below the roads
+    this.AREA_STYLES = {
+      'landuse': {color: '#ddd8cf', height_m: 0.02},
+      'park': {color: '#b5d29a', height_m: 0.04},
+      'wood': {color: '#7fa86d', height_m: 0.05},
+      'water': {color: '#9cc0e0', height_m: 0.06}
+    };
+    // colours for some landuse values, others use the landuse style's colour
+    this.LANDUSE_COLORS = {
+      'residential': '#e3ddd8', 'commercial': '#eed8d8', 'retail': '#eed8d8', 'industrial': '#e2d8e4',
+      'railway': '#ddd5dd', 'farmland': '#eef0d5', 'farmyard': '#e8d8c0', 'cemetery': '#aacbaf',
+      'allotments': '#c9e1bf', 'construction': '#d8d2bb', 'brownfield': '#d8d2bb'
+    };
+    // defaults of layer styles for lines and points, see addLayer
+    this.LAYER_LINE_WIDTH_M = 2;
+    this.LAYER_POINT_RADIUS_M = 1;
+    this.LAYER_POINT_HEIGHT_M = 10;
+    this.LAYER_POINT_SEGMENTS = 12; // points are shown as cylinders with this many sides
+    // with ambientOcclusion, walls are darkened to AO_MIN at the ground, getting brighter up to AO_HEIGHT_M
+    this.AO_MIN = 0.6;
+    this.AO_HEIGHT_M = 10;
+    this.DEFAULT_TREE_HEIGHT_M = 8;
+    this.TREE_ROW_SPACING_M = 8; // distance between trees of a tree row
+    // raycast only checks the triangles in the cells of a grid the ray passes, see meshGrid
+    this.GRID_CELL_M = 20;
+    this.GRID_MAX_CELLS = 64; // larger triangles, e.g. of parks, aren't put in cells but always checked
     this.DEFAULT_BUILDING_HEIGHT_M = 6; // default height in meters for buildings without height
+    this.DEFAULT_ROOF_ANGLE = 30; // default pitch in degrees for sloped roofs without height or angle
+    // roof shapes we can build, see https://wiki.openstreetmap.org/wiki/Key:roof:shape, others are drawn flat
+    this.ROOF_SHAPES = ['skillion', 'gabled', 'half-hipped', 'hipped', 'pyramidal', 'gambrel', 'mansard', 'round', 'dome', 'onion'];
     // some default values for buildings defined at https://wiki.openstreetmap.org/wiki/Key:building
     this.BUILDING_TO_METER = {
       'church': 20,
@@ -60,25 +154,77 @@ AFRAME.registerComponent('osm-geojson', {
       'guardhouse': this.LEVEL_HEIGHT_M
     }
 
-    this.tilesLoaded = new Set(); // contains each x,y tile id that has been loaded
-    this.featuresLoaded = {}; // contains each feature id that has been added
+    this.featuresLoaded = {}; // maps each feature id that has been added to the tile batch that built it (true for src)
+    // buildings and building parts that have been added, to match parts with buildings of other batches
+    // maps each id to {feature, bbox, polygons}, buildings have {parts, replaced} and parts {buildingId} as well
+    this.buildings = new Map();
+    this.parts = new Map();
+    this.replaced = []; // ids of buildings that got replaced by parts, to be hidden once they're added
+    // buildings hidden by hideBuildings, maps each id to {entity, saved}
+    this.hidden = new Map();
+    // increased whenever meshes are added or removed, or buildings hidden or shown, e.g. for osm-pois to place its
+    // icons on the roofs again; it never decreases
+    this.geometryVersion = 0;
+    // layers added with addLayer, maps each name to {name, style, geojson, entity, token}
+    // token identifies the latest build of the layer, so outdated builds are dropped
+    this.layers = new Map();
 
     // for loading a geojson file from the src asset
     this.loader = new THREE.FileLoader();
     this.onSrcLoaded = this.onSrcLoaded.bind(this);
+
+    // for loading buildings in a web worker, requests map a request id to {batch, origin, rebuild}, see rebuildFeatures
+    this.worker = null;
+    this.requests = new Map();
+    this.nextRequestId = 1;
+    this.onWorkerMessage = this.onWorkerMessage.bind(this);
+    this.onWorkerError = this.onWorkerError.bind(this);
+
+    this.cache = null; // osm-cache system, if available
+    this.style = null; // osm-style system, if available
+    this.treeGeometry = null; // shared by the instanced trees of all batches, created when needed
+    this.treeMaterial = null;
+    // for heightAt and raycast
+    this.DOWN = new THREE.Vector3(0, -1, 0);
+    this.ray = new THREE.Ray();
+    this.inverseMatrix = new THREE.Matrix4();
+    this.triangle = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
   },
 
   update: function (oldData) {
     if (this.data !== oldData) {
       this.trackElement = null;
       this.trackPosition = null;
-      // reset the layer
-      this.el.innerHTML = '';
+      // reset the layer, responses of pending requests are dropped as their batches are gone
+      for (let entity of Array.from(this.el.children)) {
+        this.removeEntity(entity);
+      }
+      this.batches.clear();
       this.tilesLoaded.clear();
       this.featuresLoaded = {};
+      this.buildings.clear();
+      this.parts.clear();
+      this.replaced = [];
+      this.hidden.clear();
+      this.queue = [];
+      this.pausedUntil = 0;
+      if (this.data.workerUrl != oldData.workerUrl) {
+        this.startWorker();
+      } else if (this.worker) {
+        this.worker.postMessage({type: 'reset'});
+      }
+
+      this.origin = {lat: this.data.lat, lon: this.data.lon};
+      this.el.sceneEl.systems['osm-geo'].setOrigin(this.origin.lat, this.origin.lon);
+      this.tileSize_m = osmGeo.lat2tileWidth_m(this.origin.lat, this.data.zoom);
+      this.tileBase = osmGeo.latlon2fractionalTileId(this.origin.lat, this.origin.lon, this.data.zoom);
 
-      this.tileSize_m = this.lat2tileWidth_m(this.data.lat, this.data.zoom);
-      this.tileBase = this.latlon2fractionalTileId(this.data.lat, this.data.lon);
+      let cache = this.el.sceneEl.systems['osm-cache'];
+      this.cache = cache && cache.data.enabled ? cache : null;
+      let terrain = this.el.sceneEl.systems['osm-terrain'];
+      this.terrain = terrain && terrain.data.enabled ? terrain : null;
+      let style = this.el.sceneEl.systems['osm-style'];
+      this.style = style && style.data.enabled ? style : null;
 
       if (this.data.src) {
         this.loader.load(this.data.src, this.onSrcLoaded);
@@ -86,6 +232,13 @@ AFRAME.registerComponent('osm-geojson', {
 
       this.loadTilesAround(new THREE.Vector3(0, 0, 0));
 
+      // layers were removed with the other entities, build them again for the new origin
+      for (let layer of this.layers.values()) {
+        if (layer.geojson) {
+          this.showLayer(layer);
+        }
+      }
+
       // if trackId attribute is given, keep track of the element's position
       if (this.data.trackId) {
         let element = document.getElementById(this.data.trackId);
@@ -97,11 +250,30 @@ AFRAME.registerComponent('osm-geojson', {
     }
   },
 
+  // Create an empty tile batch, which becomes one or more separate entities
+  // {tiles: [[x, y], ...], box: Box2 of the tiles in meters, entities: the batch's a-entities, empty while loading,
+  //  shared: Map of features the batch got that another batch built (see sharedFeatures), origin: the origin the
+  //  batch is built for, set when it's requested, requestId: id of its request to the web worker}
+  createBatch: function() {
+    return {tiles: [], box: null, entities: [], shared: new Map(), origin: null, requestId: null};
+  },
+
+  remove: function () {
+    if (this.worker) {
+      this.worker.terminate();
+    }
+    if (this.treeGeometry) {
+      this.treeGeometry.dispose();
+      this.treeMaterial.dispose();
+    }
+  },
+
   tick: function () {
     if (this.trackElement) {
       // use world position to support movement of both head and rig
       this.trackElement.object3D.getWorldPosition(this.trackPosition);
       this.loadTilesAround(this.trackPosition);
+      this.unloadTilesOutside(this.trackPosition);
     }
   },
 
@@ -111,27 +283,111 @@ AFRAME.registerComponent('osm-geojson', {
       let center = this.features2center(json.features);
       this.data.lat = center[0];
       this.data.lon = center[1];
+      this.origin = {lat: center[0], lon: center[1]};
+      this.el.sceneEl.systems['osm-geo'].setOrigin(this.origin.lat, this.origin.lon);
+    }
+    this.loadTerrain(this.features2bbox(json.features)).then(() => this.addBuildings(json));
+    if (this.worker) {
+      // let the worker skip these buildings when they're also returned by the Overpass API
+      this.worker.postMessage({type: 'loaded', ids: json.features.map(feature => feature.id)});
+    }
+  },
+
+  // Start a web worker from workerUrl to load buildings without blocking the main thread, if possible
+  startWorker: function() {
+    if (this.worker) {
+      // requests of the old worker won't be answered
+      this.worker.terminate();
+      this.worker = null;
+      this.activeRequests -= Array.from(this.requests.values()).filter(request => !request.rebuild).length;
+      this.requests.clear();
+    }
+    if (!this.data.workerUrl || !window.Worker) {
+      return;
+    }
+    try {
+      this.worker = new Worker(this.data.workerUrl);
+    } catch (error) {
+      console.warn('osm-geojson: loading buildings on the main thread, as the web worker failed to start', error);
+      return;
     }
-    this.addBuildings(json);
+    this.worker.onmessage = this.onWorkerMessage;
+    this.worker.onerror = this.onWorkerError;
   },
 
-  // Convert latitude to width in meters for given zoom level
-  lat2tileWidth_m: function(lat, zoom) {
-    let nTiles = 2 ** zoom;
-    let circumference_m = this.EQUATOR_M * Math.cos(lat * Math.PI / 180);
-    return circumference_m / nTiles;
+  // Fall back to the main thread if the worker fails, e.g. because its scripts can't be loaded
+  onWorkerError: function(event) {
+    console.warn('osm-geojson: loading buildings on the main thread, as the web worker failed', event.message);
+    this.worker.terminate();
+    this.worker = null;
+    let requests = Array.from(this.requests.values());
+    this.requests.clear();
+    for (let request of requests) {
+      // features to build again were only kept by the worker, they're loaded again with their batches
+      if (!request.rebuild) {
+        this.activeRequests--;
+        this.loadBatch(request.batch);
+      }
+    }
   },
 
-  // Convert geocoordinates to tile coordinates for given zoom level
-  // Returns floating point values where
-  // * the integer part is the tile id
-  // * the fractional part is the position within the tile
-  latlon2fractionalTileId: function(lat, lon) {
-    let nTiles = 2 ** this.data.zoom;
-    let latRad = lat * Math.PI / 180;
-    let x = nTiles * (lon + 180) / 360;
-    let y = nTiles * (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2;
-    return [x, y];
+  // Wrap the buffers built by the worker for a batch in a mesh and add it to the scene
+  onWorkerMessage: function(event) {
+    let message = event.data;
+    if (message.shown) {
+      this.showBuildings(message.shown);
+      return;
+    }
+    let request = this.requests.get(message.id);
+    if (!request) {
+      return;
+    }
+    this.requests.delete(message.id);
+    if (!request.rebuild) {
+      this.onBatchDone();
+    }
+    if (!this.batches.has(request.batch) || request.origin !== this.origin) {
+      // batch got unloaded, the layer was reset or the origin moved while loading, so the worker has to forget
+      // its features as well, to load them again when needed
+      this.worker.postMessage({type: 'forget', ids: message.featureIds || [],
+        batchId: request.rebuild ? null : message.id});
+      if (this.batches.has(request.batch) && request.rebuild) {
+        this.rebuildFeatures(request.batch, message.featureIds || []);
+      } else if (this.batches.has(request.batch)) {
+        this.unloadBatch(request.batch);
+      }
+      return;
+    }
+    if (message.error && request.rebuild) {
+      console.warn('osm-geojson: failed to build the features of an unloaded batch again', message.error);
+      return;
+    } else if (message.error) {
+      this.onBatchFailed(request.batch, message.error);
+      return;
+    }
+    for (let id of message.featureIds) {
+      this.featuresLoaded[id] = request.batch;
+    }
+    for (let id of message.shared) {
+      request.batch.shared.set(id, null); // the worker keeps the feature
+    }
+    let geometry = null;
+    if (message.buffers) {
+      geometry = new THREE.BufferGeometry();
+      for (let [name, array] of Object.entries(message.buffers)) {
+        geometry.setAttribute(name, new THREE.BufferAttribute(array, name == 'uv' ? 2 : 3));
+      }
+      for (let group of message.groups) {
+        geometry.addGroup(group.start, group.count, group.materialIndex);
+      }
+      geometry.userData.features = message.features;
+      geometry.userData.materials = message.materials;
+    }
+    let entity = this.addGeometry(geometry, message.trees);
+    if (entity) {
+      request.batch.entities.push(entity);
+    }
+    this.hideBuildings(message.replaced);
   },
 
   // Debug function to log feature properties and geometry
@@ -142,9 +398,12 @@ AFRAME.registerComponent('osm-geojson', {
     let s = '{"type": "Feature", "properties": {' + "\n";
     s += Object.entries(feature.properties).map(([key, value]) => {if (!key.startsWith('tmp_')) return `  "${key}": "${value}"`;}).join(",\n") + "\n";
     s += `}, "geometry": {"type": "${feature.geometry.type}", "coordinates": [\n`;
+    let path2string = (path) => "[" + path.map(([lon, lat]) => `[${lon.toFixed(5)},${lat.toFixed(5)}]`).join(',') + "]";
     let outlines = [];
-    for (let path of feature.geometry.coordinates) {
-      outlines.push("  [" + path.map(([lon, lat]) => `[${lon.toFixed(5)},${lat.toFixed(5)}]`).join(',') + "]");
+    for (let paths of feature.geometry.coordinates) {
+      // each polygon of a MultiPolygon is an array of paths
+      outlines.push(feature.geometry.type == 'MultiPolygon'
+        ? "  [" + paths.map(path2string).join(",\n   ") + "]" : "  " + path2string(paths));
     }
     s += outlines.join(",\n") + `\n]},\n "id": "${feature.id}"\n},`;
     console.log(s);
@@ -175,70 +434,82 @@ AFRAME.registerComponent('osm-geojson', {
     }
   },
 
-  // Compute center of the given geojson features
-  // we ignore point features and just take the first coordinate pair of each path
-  // TODO: just use the bounding box center
+  // Compute center of the given geojson features as [lat, lon], the center of their bounding box
   features2center: function(features) {
-    let lat = 0;
-    let lon = 0;
-    let count = 0;
-    for (let feature of features) {
-      // just take the first coordinate pair of the outline, skip points
-      let coords = feature.geometry.coordinates[0][0];
-      if (coords && coords.length == 2) {
-        lon += coords[0];
-        lat += coords[1];
-        count += 1;
+    let [south, west, north, east] = this.features2bbox(features);
+    return [(south + north) / 2, (west + east) / 2];
+  },
+
+  // Compute the bounding box of the given geojson features in [south,west,north,east] degrees
+  features2bbox: function(features) {
+    let bboxSWNE = [90, 180, -90, -180];
+    let extend = (coords) => {
+      if (Array.isArray(coords[0])) {
+        coords.forEach(extend);
+      } else {
+        bboxSWNE = [Math.min(bboxSWNE[0], coords[1]), Math.min(bboxSWNE[1], coords[0]),
+          Math.max(bboxSWNE[2], coords[1]), Math.max(bboxSWNE[3], coords[0])];
       }
+    };
+    for (let feature of features) {
+      extend(feature.geometry.coordinates);
     }
-    lat /= count;
-    lon /= count;
-    // console.log("Geojson center (lat, lon): ", lat, lon);
-    return [lat, lon];
+    return bboxSWNE;
   },
 
-  // Load OSM building data for the bounding box
-  // bboxArray is an array with [south,west,north,east] in degrees
-  loadOSMbuildingsBbox: async function(bboxArray) {
-    let bbox = bboxArray.join(',');
-    // overpass query to get all buildings and building parts
-    // adding skel to the last line may reduce the amount of data: out;>;out skel qt;
-    let overpassQuery = `[out:json][timeout:30];(
-        way["building"](${ bbox });
-        relation["building"]["type"="multipolygon"](${ bbox });
-        way["building:part"](${ bbox });
-        relation["building:part"]["type"="multipolygon"](${ bbox });
-        );out;>;out qt;
-        `;
-
-    let response = await fetch(
-        "https://overpass-api.de/api/interpreter",
-        {
-            method: "POST",
-            body: "data="+ encodeURIComponent(overpassQuery)
+  // Convert the Overpass API's response to geojson, with members of type=building relations marked by tmp_relation
+  // and tmp_role properties, as osmtogeojson drops the relation memberships
+  osm2geojson: function(data) {
+    let members = new Map(); // maps the id of each member, e.g. way/123, to its relation and role
+    for (let element of data.elements) {
+      if (element.type == 'relation' && element.tags && element.tags.type == 'building') {
+        for (let member of element.members) {
+          members.set(`${member.type}/${member.ref}`, {relation: `relation/${element.id}`, role: member.role});
         }
-    );
-    if (response.ok) {
-        let data = await response.json();
-        // console.log(data);
-        return data;
+      }
+    }
+    let geojson = osmtogeojson(data);
+    for (let feature of geojson.features) {
+      let member = members.get(feature.id);
+      if (member) {
+        feature.properties.tmp_relation = member.relation;
+        feature.properties.tmp_role = member.role;
+      }
     }
+    return geojson;
   },
 
-  // Convert geocoordinates into meter-based positions around the given base
+  // Get the Overpass query with {{bbox}} placeholder, the custom one or the default for the enabled features
+  overpassQuery: function() {
+    if (this.data.overpassQuery) {
+      return this.data.overpassQuery;
+    }
+    let statements = [];
+    if (this.data.roads) {
+      statements.push('way["highway"]({{bbox}});', 'way["railway"]({{bbox}});');
+    }
+    if (this.data.areas) {
+      let filters = ['["landuse"]', '["natural"~"^(water|wood|scrub|grassland|heath|wetland)$"]',
+        '["leisure"~"^(park|garden|pitch|playground|nature_reserve)$"]', '["waterway"="riverbank"]'];
+      for (let filter of filters) {
+        statements.push(`way${filter}({{bbox}});`, `relation${filter}["type"="multipolygon"]({{bbox}});`);
+      }
+    }
+    if (this.data.trees) {
+      statements.push('node["natural"="tree"]({{bbox}});', 'way["natural"="tree_row"]({{bbox}});');
+    }
+    return this.OVERPASS_QUERY.replace('{{statements}}', statements.join('\n        '));
+  },
+
+  // Convert geocoordinates into meter-based positions around the given base, with the projection of osm-geo.js
   // coordinates order in geojson is longitude, latitude!
   // coords is a path of [lon, lat] positions, e.g. [[13.41224,52.51712],[13.41150,52.51702],...]
-  // result is a Vector2 array of positions in meters on the plane
+  // result is a Vector2 array of positions in meters on the plane, with y pointing north (-z in Aframe)
   geojsonCoords2plane: function(coords, baseLat, baseLon) {
-    if (coords.length == 1 && coords[0].length > 2) {
-      // console.log(coords);
-      coords = coords[0];
-    }
-    let circumference_m = this.EQUATOR_M * Math.cos(baseLat * Math.PI / 180);
-    return coords.map(([lon, lat]) => new THREE.Vector2(
-      (lon - baseLon) / 360 * circumference_m,
-      (lat - baseLat) / 360 * this.POLES_M
-    ));
+    return coords.map(([lon, lat]) => {
+      let [x_m, z_m] = osmGeo.latlon2plane_m(lat, lon, baseLat, baseLon);
+      return new THREE.Vector2(x_m, -z_m);
+    });
   },
 
   // Create the Aframe geometry by extruding building footprints to given height
@@ -249,9 +520,7 @@ AFRAME.registerComponent('osm-geojson', {
   createGeometry: function(xyCoords, xyHoles, height, minHeight) {
     let shape = new THREE.Shape(xyCoords);
     if (height === null) {
-      // set the height based on the perimeter of the building if missing other info
-      let perimeter_m = shape.getLength();
-      height = Math.min(this.DEFAULT_BUILDING_HEIGHT_M, perimeter_m / 5);  
+      height = this.defaultHeight(shape);
     }
     for (let hole of xyHoles) {
       shape.holes.push(new THREE.Path(hole));
@@ -267,6 +536,12 @@ AFRAME.registerComponent('osm-geojson', {
     return geometry;
   },
 
+  // Set the height based on the perimeter of the building if missing other info
+  defaultHeight: function(shape) {
+    let perimeter_m = shape.getLength();
+    return Math.min(this.DEFAULT_BUILDING_HEIGHT_M, perimeter_m / 5);
+  },
+
   // Generate a dome / half sphere shaped building part from outline and height, both in meters
   // if minHeight is given, the shape is extruded from that height upwards
   // TODO: support elliptical domes (currently only circular)
@@ -282,6 +557,269 @@ AFRAME.registerComponent('osm-geojson', {
     return geometry;
   },
 
+  // Generate an onion shaped roof from outline and height, both in meters, like createDomeGeometry
+  // The onion bulges out beyond the outline, as most onion domes do
+  createOnionGeometry: function(xyCoords, height, minHeight = 0) {
+    let bbox = new THREE.Box2().setFromPoints(xyCoords);
+    let radius_m = (bbox.max.x - bbox.min.x) / 2;
+    let center = new THREE.Vector2;
+    bbox.getCenter(center);
+    // profile of the onion as [radius, height] pairs for a unit sized onion, from its base to the tip
+    let profile = [[1, 0], [1.2, 0.12], [1.27, 0.25], [1.2, 0.4], [0.95, 0.55], [0.6, 0.7], [0.3, 0.82], [0.12, 0.92], [0, 1]];
+    let geometry = new THREE.LatheGeometry(profile.map(([r, h]) => new THREE.Vector2(r, h)), 24);
+    geometry.scale(radius_m, height - minHeight, radius_m);
+    geometry.translate(center.x, minHeight, -center.y);
+    return geometry;
+  },
+
+  // Convert a roof:direction value to degrees clockwise from north, it's given in degrees or as cardinal direction
+  direction2degrees: function(direction) {
+    const CARDINALS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+    let index = CARDINALS.indexOf(direction.trim().toUpperCase());
+    return index >= 0 ? index * 22.5 : parseFloat(direction);
+  },
+
+  // Find the orientation of a roof on the footprint, as basis for the roof planes
+  // Returns the unit vectors along the ridge (u axis) and across it (v axis, the direction the roof slopes down to)
+  // and the extent of the footprint along both axes
+  roofFrame: function(feature, xyOutline) {
+    let properties = feature.properties;
+    let dir = new THREE.Vector2(1, 0);
+    let direction = 'roof:direction' in properties ? this.direction2degrees(properties['roof:direction']) : NaN;
+    if (!isNaN(direction)) {
+      // the ridge is perpendicular to the direction the roof slopes down to
+      let angle = direction * Math.PI / 180;
+      dir.set(Math.cos(angle), -Math.sin(angle));
+    } else {
+      // the ridge runs along the longest side of the footprint by default, https://wiki.openstreetmap.org/wiki/Key:roof:orientation
+      let longest = 0;
+      for (let i = 1; i < xyOutline.length; i++) {
+        let side = xyOutline[i].clone().sub(xyOutline[i - 1]);
+        if (side.length() > longest) {
+          longest = side.length();
+          dir.copy(side).normalize();
+        }
+      }
+      if (properties['roof:orientation'] == 'across') {
+        dir.set(-dir.y, dir.x);
+      }
+    }
+    let frame = {dir: dir, across: new THREE.Vector2(-dir.y, dir.x), minU: Infinity, maxU: -Infinity, minV: Infinity, maxV: -Infinity};
+    for (let p of xyOutline) {
+      let u = p.dot(frame.dir);
+      let v = p.dot(frame.across);
+      frame.minU = Math.min(frame.minU, u);
+      frame.maxU = Math.max(frame.maxU, u);
+      frame.minV = Math.min(frame.minV, v);
+      frame.maxV = Math.max(frame.maxV, v);
+    }
+    return frame;
+  },
+
+  // Extract the height of a roof in meters from roof:height, roof:angle or roof:levels
+  // Returns null if the roof height isn't tagged, to use a default
+  feature2roofHeight: function(feature, frame, shape) {
+    let properties = feature.properties;
+    let height = null;
+    if ('roof:height' in properties) {
+      height = this.height2meters(properties['roof:height']);
+    } else if ('roof:angle' in properties) {
+      // a skillion roof rises across the whole footprint, other roofs from both sides up to the ridge
+      let run = (frame.maxV - frame.minV) / (shape == 'skillion' ? 1 : 2);
+      height = Math.tan(parseFloat(properties['roof:angle']) * Math.PI / 180) * run;
+    } else if (parseInt(properties['roof:levels']) > 0) {
+      height = parseInt(properties['roof:levels']) * this.LEVEL_HEIGHT_M;
+    }
+    return isNaN(height) ? null : height;
+  },
+
+  // Estimate the height of a roof in meters, round shapes are as high as half the width
+  defaultRoofHeight: function(frame, shape) {
+    let halfWidth = (frame.maxV - frame.minV) / 2;
+    if (shape == 'dome' || shape == 'onion' || shape == 'round') {
+      return halfWidth;
+    }
+    let run = shape == 'skillion' ? 2 * halfWidth : halfWidth;
+    return Math.tan(this.DEFAULT_ROOF_ANGLE * Math.PI / 180) * run;
+  },
+
+  // Describe a sloped roof shape as a set of planes [a, b, c] with the roof height a * u + b * v + c in meters
+  // u and v are the coordinates along and across the ridge as defined by roofFrame
+  // The roof is the lowest of all planes at each position, so the shape has to be convex
+  roofPlanes: function(shape, frame, height) {
+    let {minU, maxU, minV, maxV} = frame;
+    let halfWidth = (maxV - minV) / 2;
+    let halfLength = (maxU - minU) / 2;
+    let slope = height / halfWidth;
+    // planes rising with slope k from the eaves on both sides or both ends, c is the plane's height at the eaves
+    let sides = (k, c) => [[0, -k, k * maxV + c], [0, k, c - k * minV]];
+    let ends = (k, c) => [[-k, 0, k * maxU + c], [k, 0, c - k * minU]];
+    // gambrel and mansard roofs are steep up to the knee at 40% of the way and 75% of the height
+    let kneeSlope = 0.75 * height / (0.4 * halfWidth);
+    let topSlope = 0.25 * height / (0.6 * halfWidth);
+    let topHeight = 0.75 * height - topSlope * 0.4 * halfWidth;
+
+    switch (shape) {
+      case 'skillion':
+        return [[0, -height / (2 * halfWidth), height * maxV / (2 * halfWidth)]];
+      case 'gabled':
+        return sides(slope, 0);
+      case 'hipped':
+        return sides(slope, 0).concat(ends(slope, 0));
+      case 'half-hipped':
+        // gabled, but the top half of the gable is cut off by a steeper hip
+        return sides(slope, 0).concat(ends(2 * slope, height / 2));
+      case 'pyramidal':
+        return sides(slope, 0).concat(ends(height / halfLength, 0));
+      case 'gambrel':
+        return sides(kneeSlope, 0).concat(sides(topSlope, topHeight));
+      case 'mansard':
+        return sides(kneeSlope, 0).concat(sides(topSlope, topHeight), ends(kneeSlope, 0), ends(topSlope, topHeight));
+      case 'round': {
+        // approximate a quarter ellipse on each side with the chords between some points on it
+        const STEPS = 6;
+        let planes = [];
+        for (let i = 0; i < STEPS; i++) {
+          let angle1 = i / STEPS * Math.PI / 2;
+          let angle2 = (i + 1) / STEPS * Math.PI / 2;
+          let e1 = halfWidth * (1 - Math.cos(angle1));
+          let e2 = halfWidth * (1 - Math.cos(angle2));
+          let k = height * (Math.sin(angle2) - Math.sin(angle1)) / (e2 - e1);
+          planes.push(...sides(k, height * Math.sin(angle1) - k * e1));
+        }
+        return planes;
+      }
+    }
+    return [];
+  },
+
+  // Clip a polygon to the half-plane where a * x + b * y + c <= 0 (Sutherland-Hodgman)
+  // points is a Vector2 array without repeating the first point at the end
+  clipPolygon: function(points, a, b, c) {
+    let result = [];
+    for (let i = 0; i < points.length; i++) {
+      let p = points[i];
+      let q = points[(i + 1) % points.length];
+      let dp = a * p.x + b * p.y + c;
+      let dq = a * q.x + b * q.y + c;
+      if (dp <= 0) {
+        result.push(p);
+      }
+      if ((dp < 0 && dq > 0) || (dp > 0 && dq < 0)) {
+        result.push(p.clone().lerp(q, dp / (dp - dq)));
+      }
+    }
+    return result;
+  },
+
+  // Create the geometry of a sloped roof as the lowest of the given planes over the footprint
+  // This includes the vertical walls from the eaves up to the roof, e.g. the gables
+  // xyOutline and xyHoles are the footprint as in createGeometry, frame and planes come from roofFrame and roofPlanes
+  // base is the height of the eaves in meters, the roof planes start from there
+  createRoofGeometry: function(xyOutline, xyHoles, frame, planes, base) {
+    // convert the footprint to roof coordinates, with the outline counter-clockwise and holes clockwise
+    let rings = [xyOutline, ...xyHoles].map((path, i) => {
+      let ring = path.map(p => new THREE.Vector2(p.dot(frame.dir), p.dot(frame.across)));
+      if (ring.length > 1 && ring[0].equals(ring[ring.length - 1])) {
+        ring.pop();
+      }
+      if (THREE.ShapeUtils.isClockWise(ring) != (i > 0)) {
+        ring.reverse();
+      }
+      return ring;
+    });
+    let planeHeight = (plane, p) => plane[0] * p.x + plane[1] * p.y + plane[2];
+    let roofHeight = (p) => Math.max(0, Math.min(...planes.map(plane => planeHeight(plane, p))));
+    // convert roof coordinates and height above the eaves back to a 3d position, north is -z
+    let toWorld = (p, h) => new THREE.Vector3(
+      frame.dir.x * p.x + frame.across.x * p.y,
+      base + h,
+      -(frame.dir.y * p.x + frame.across.y * p.y)
+    );
+
+    // add triangles to the position array, flipped if necessary to face the given direction
+    let positions = [];
+    let edge1 = new THREE.Vector3();
+    let edge2 = new THREE.Vector3();
+    let addTriangle = (a, b, c, facing) => {
+      edge1.subVectors(b, a);
+      edge2.subVectors(c, a);
+      if (edge1.cross(edge2).dot(facing) < 0) {
+        [b, c] = [c, b];
+      }
+      positions.push(a.x, a.y, a.z, b.x, b.y, b.z, c.x, c.y, c.z);
+    };
+
+    // each plane is visible where it's below all other planes, so clip the footprint to that area
+    let up = new THREE.Vector3(0, 1, 0);
+    for (let plane of planes) {
+      let [contour, ...holes] = rings.map(ring => {
+        for (let other of planes) {
+          if (other !== plane) {
+            ring = this.clipPolygon(ring, plane[0] - other[0], plane[1] - other[1], plane[2] - other[2]);
+          }
+        }
+        return ring;
+      });
+      holes = holes.filter(hole => hole.length >= 3);
+      if (contour.length < 3) {
+        continue;
+      }
+      let triangles = THREE.ShapeUtils.triangulateShape(contour, holes);
+      let points = contour.concat(...holes);
+      for (let [i, j, k] of triangles) {
+        let [a, b, c] = [points[i], points[j], points[k]].map(p => toWorld(p, planeHeight(plane, p)));
+        addTriangle(a, b, c, up);
+      }
+    }
+
+    // walls from the eaves up to the roof, split where the roof changes from one plane to another
+    for (let ring of rings) {
+      for (let i = 0; i < ring.length; i++) {
+        let p = ring[i];
+        let q = ring[(i + 1) % ring.length];
+        let splits = [0, 1];
+        for (let j = 0; j < planes.length; j++) {
+          for (let k = j + 1; k < planes.length; k++) {
+            let dp = planeHeight(planes[j], p) - planeHeight(planes[k], p);
+            let dq = planeHeight(planes[j], q) - planeHeight(planes[k], q);
+            if (dp * dq < 0) {
+              // only split where both planes are the lowest, i.e. the roof changes between them
+              let t = dp / (dp - dq);
+              let point = p.clone().lerp(q, t);
+              if (planeHeight(planes[j], point) <= roofHeight(point) + 0.001) {
+                splits.push(t);
+              }
+            }
+          }
+        }
+        splits.sort((a, b) => a - b);
+        // outlines are counter-clockwise and holes clockwise, so the outside is on the right
+        let side = toWorld(q, 0).sub(toWorld(p, 0));
+        let outside = new THREE.Vector3(-side.z, 0, side.x);
+        for (let j = 1; j < splits.length; j++) {
+          let a = p.clone().lerp(q, splits[j - 1]);
+          let b = p.clone().lerp(q, splits[j]);
+          let heightA = roofHeight(a);
+          let heightB = roofHeight(b);
+          if (heightA > 0.01) {
+            addTriangle(toWorld(a, 0), toWorld(b, heightB), toWorld(a, heightA), outside);
+          }
+          if (heightB > 0.01) {
+            addTriangle(toWorld(a, 0), toWorld(b, 0), toWorld(b, heightB), outside);
+          }
+        }
+      }
+    }
+
+    let geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    // uv is unused, but needed to merge with other geometries
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(new Float32Array(positions.length / 3 * 2), 2));
+    geometry.computeVertexNormals();
+    return geometry;
+  },
+
   // Convert a height string to meters, handling different units/formats
   height2meters: function(height) {
     if (height.indexOf("'") > 0) {
@@ -340,16 +878,36 @@ AFRAME.registerComponent('osm-geojson', {
     return 'gray';
   },
 
-  // Check if feature is of a specific shape like 'dome'
-  hasShape: function(feature, shape) {
-    return ('building:shape' in feature.properties && feature.properties['building:shape'] == shape)
-      || ('roof:shape' in feature.properties && feature.properties['roof:shape'] == shape);
+  // Get the polygons of a Polygon or MultiPolygon geometry, each as array of paths with the outline first and then
+  // its holes, e.g. multipolygon relations of OSM become MultiPolygons if they have more than one outline
+  // Returns an empty array for other geometry types
+  feature2polygons: function(geometry) {
+    if (geometry.type == 'Polygon') {
+      return [geometry.coordinates];
+    }
+    return geometry.type == 'MultiPolygon' ? geometry.coordinates : [];
   },
 
   // Convert the geojson feature of a building into a 3d geometry
   // baseLat and baseLon are used as reference position to convert geocoordinates to meters on plane
+  // Each polygon of a MultiPolygon is built separately, with its own holes and roof
   feature2geometry: function(feature, baseLat, baseLon) {
-    let paths = feature.geometry.coordinates;
+    let geometries = [];
+    for (let paths of this.feature2polygons(feature.geometry)) {
+      let geometry = this.polygon2geometry(feature, paths, baseLat, baseLon);
+      if (geometry) {
+        geometries.push(geometry);
+      }
+    }
+    if (geometries.length <= 1) {
+      return geometries[0] || null;
+    }
+    return THREE.BufferGeometryUtils.mergeBufferGeometries(geometries, false);
+  },
+
+  // Convert one polygon of a building into a 3d geometry, with the tags of the building's feature
+  // paths are the polygon's outline and holes as paths of [lon, lat] positions, see feature2polygons
+  polygon2geometry: function(feature, paths, baseLat, baseLon) {
     let xyOutline = this.geojsonCoords2plane(paths[0], baseLat, baseLon);
     let xyHoles = []; // Add holes to the building if more than one path given
     for (let i = 1; i < paths.length; i++) {
@@ -360,42 +918,152 @@ AFRAME.registerComponent('osm-geojson', {
       return null; // skip building outlines that are covered by building parts
     }
     let minHeight_m = this.feature2minHeight(feature);
+    let properties = feature.properties;
     // special handling for dome shaped building parts
-    if (this.hasShape(feature, 'dome')) {
+    if (properties['building:shape'] == 'dome') {
       return this.createDomeGeometry(xyOutline, height_m, minHeight_m).toNonIndexed();
     }
-    // ExtrudeGeometry is already non-indexed, unlike the SphereGeometry for domes
-    return this.createGeometry(xyOutline, xyHoles, height_m, minHeight_m);
-  },
-
-  // Compute the bounding box of a tile at given zoom level in degrees
-  tile2bbox: function(x, y, zoom) {
-    let nTiles = 2 ** zoom;
-    let north = 180 * Math.atan(Math.sinh(Math.PI * (1 - 2 * y / nTiles))) / Math.PI;
-    let south = 180 * Math.atan(Math.sinh(Math.PI * (1 - 2 * (y + 1) / nTiles))) / Math.PI;
-    let west = x / nTiles * 360 - 180;
-    let east = (x + 1) / nTiles * 360 - 180;
-    return [south, west, north, east];
-  },
-
-  // Given a building part, find the building it belongs to
-  findBaseBuilding: function(part, buildingIds, id2feature) {
-    let result = 0;
-    for (let buildingId of buildingIds) {
-      let building = id2feature[buildingId];
-      if (building.properties.tmp_bbox.containsBox(part.properties.tmp_bbox)) {
-        if (result) {
-          // console.log('MULTIPLE BASE BUILDINGS: ', building);
-          // if the part is contained in multiple building footprints, use the smaller one
-          if (id2feature[result].properties.tmp_bbox.containsBox(id2feature[buildingId].properties.tmp_bbox)) {
-            result = buildingId;
+    let roofShape = properties['roof:shape'];
+    let frame = this.roofFrame(feature, xyOutline);
+    if (!this.ROOF_SHAPES.includes(roofShape) || frame.maxV - frame.minV < 0.01) {
+      // ExtrudeGeometry is already non-indexed, unlike the SphereGeometry for domes
+      return this.createGeometry(xyOutline, xyHoles, height_m, minHeight_m);
+    }
+
+    // the building height includes the roof, unless it's just given as building levels
+    if (height_m === null) {
+      height_m = this.defaultHeight(new THREE.Shape(xyOutline));
+    }
+    let roofHeight_m = this.feature2roofHeight(feature, frame, roofShape);
+    let isRoofTagged = roofHeight_m !== null;
+    if (!isRoofTagged) {
+      roofHeight_m = this.defaultRoofHeight(frame, roofShape);
+    }
+    if (!('height' in properties) && 'building:levels' in properties) {
+      height_m += roofHeight_m;
+    } else if (!isRoofTagged) {
+      // don't let estimated roofs take up most of the building
+      roofHeight_m = Math.min(roofHeight_m, (height_m - minHeight_m) / 2);
+    }
+    roofHeight_m = Math.min(roofHeight_m, height_m - minHeight_m);
+    if (roofHeight_m <= 0) {
+      return this.createGeometry(xyOutline, xyHoles, height_m, minHeight_m);
+    }
+
+    let base_m = height_m - roofHeight_m;
+    let geometries = [];
+    if (base_m > minHeight_m) {
+      geometries.push(this.createGeometry(xyOutline, xyHoles, base_m, minHeight_m));
+    }
+    if (roofShape == 'dome') {
+      geometries.push(this.createDomeGeometry(xyOutline, height_m, base_m).toNonIndexed());
+    } else if (roofShape == 'onion') {
+      geometries.push(this.createOnionGeometry(xyOutline, height_m, base_m).toNonIndexed());
+    } else {
+      let planes = this.roofPlanes(roofShape, frame, roofHeight_m);
+      geometries.push(this.createRoofGeometry(xyOutline, xyHoles, frame, planes, base_m));
+    }
+    if (geometries.length == 1) {
+      return geometries[0];
+    }
+    return THREE.BufferGeometryUtils.mergeBufferGeometries(geometries, false);
+  },
+
+  // Check if a [lon, lat] position is inside a path of [lon, lat] positions, by counting the edges a ray crosses
+  isInsidePath: function([x, y], path) {
+    let inside = false;
+    for (let i = 0, j = path.length - 1; i < path.length; j = i++) {
+      let [xi, yi] = path[i];
+      let [xj, yj] = path[j];
+      if ((yi > y) != (yj > y) && x < xi + (y - yi) / (yj - yi) * (xj - xi)) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  },
+
+  // Check if a [lon, lat] position is inside polygons as returned by feature2polygons, i.e. in an outline but not
+  // in one of its holes
+  isInsidePolygons: function(position, polygons) {
+    return polygons.some(paths => paths.filter(path => this.isInsidePath(position, path)).length % 2 == 1);
+  },
+
+  // Estimate which share of a part lies within a building, both given as polygons of feature2polygons
+  // Samples are the center of each outline and its corners moved a bit towards the center, so parts sharing
+  // edges with the building count as inside; returns a value from 0 to 1
+  partOverlap: function(partPolygons, buildingPolygons) {
+    let samples = [];
+    for (let paths of partPolygons) {
+      // geojson repeats the first position at the end
+      let outline = paths[0].slice(0, -1);
+      let centerLon = outline.reduce((sum, [lon]) => sum + lon, 0) / outline.length;
+      let centerLat = outline.reduce((sum, [, lat]) => sum + lat, 0) / outline.length;
+      samples.push([centerLon, centerLat]);
+      for (let [lon, lat] of outline) {
+        samples.push([lon + (centerLon - lon) * 0.2, lat + (centerLat - lat) * 0.2]);
+      }
+    }
+    let inside = samples.filter(sample => this.isInsidePolygons(sample, buildingPolygons)).length;
+    return samples.length ? inside / samples.length : 0;
+  },
+
+  // Compute the area of the outlines of polygons as returned by feature2polygons, in square degrees for comparisons
+  polygonsArea: function(polygons) {
+    let area = 0;
+    for (let paths of polygons) {
+      let outline = paths[0];
+      for (let i = 0, j = outline.length - 1; i < outline.length; j = i++) {
+        area += (outline[j][0] + outline[i][0]) * (outline[j][1] - outline[i][1]) / 2;
+      }
+    }
+    return Math.abs(area);
+  },
+
+  // Find the building a part belongs to among the given entries of this.buildings and link them
+  // A part of a type=building relation belongs to the relation's outline, it waits for it if it isn't loaded yet
+  // Other parts belong to the smallest building that contains most of them
+  // Ids of buildings that got a new part are added to changed
+  matchPart: function(part, buildings, changed) {
+    let relation = part.feature.properties.tmp_relation;
+    let match = null;
+    if (relation) {
+      match = buildings.find(building => building.feature.properties.tmp_relation == relation
+        && building.feature.properties.tmp_role == 'outline') || null;
+    } else {
+      let matchArea = Infinity;
+      for (let building of buildings) {
+        if (building.bbox.intersectsBox(part.bbox) && this.partOverlap(part.polygons, building.polygons) >= 0.5) {
+          let area = this.polygonsArea(building.polygons);
+          if (area < matchArea) {
+            match = building;
+            matchArea = area;
           }
-        } else {
-          result = buildingId;
         }
       }
     }
-    return result;
+    if (match) {
+      part.buildingId = match.feature.id;
+      part.feature.properties.tmp_buildingId = match.feature.id; // to place the part on the terrain like its building
+      match.parts.add(part.feature.id);
+      changed.add(match.feature.id);
+    }
+  },
+
+  // Check if a building is fully replaced by its parts, so it isn't shown
+  isReplacedByParts: function(building) {
+    if (building.parts.size <= 1) {
+      // a building shouldn't be replaced by a single part, e.g. a roof, keep both
+      return false;
+    }
+    let height = this.feature2height(building.feature);
+    for (let partId of building.parts) {
+      let part = this.parts.get(partId);
+      // a part on top of the building doesn't replace it, e.g. https://www.openstreetmap.org/way/304339260
+      if (height === null || this.feature2minHeight(part.feature) < height) {
+        return true;
+      }
+    }
+    return false;
   },
 
   // Check if a building part feature is a roof part
@@ -407,142 +1075,224 @@ AFRAME.registerComponent('osm-geojson', {
   // Most buildings don't have separate building parts, but some have multiple parts
   // Some buildings are completely replaced by their parts, others use parts as an extension, e.g. for the roof
   // See https://wiki.openstreetmap.org/wiki/Key:building:part
-  // Unfortunately, there's no enforced relation:
-  // https://help.openstreetmap.org/questions/60330/how-do-you-create-a-relation-between-a-building-and-3d-building-parts
-  filterBuildingParts: function(features, featuresLoaded, lat, lon) {
-    let id2feature = {};  // map feature id to feature
-    let buildingIds = new Set();  // feature ids of buildings
-    let partIds = new Set();  // feature ids of building parts
-    let ignored = 0;  // count features that are not buildings or parts
-
-    // Iterate over all features, create their 2d outlines and 
+  // Parts are linked to buildings by type=building relations (see osm2geojson) where they exist, otherwise by
+  // their position: https://wiki.openstreetmap.org/wiki/Relation:building
+  // Buildings and parts of earlier calls are kept in this.buildings and this.parts, so parts loaded with another tile
+  // batch than their building are matched as well
+  // Buildings that get replaced are still built and added to this.replaced, to be hidden by hideBuildings: they have
+  // to be shown again if the batch with their parts is unloaded, see forgetFeatures
+  // featuresLoaded maps the id of each processed feature to loadedBy, to skip it in later calls
+  // Returns the ids of the new buildings and parts to build
+  filterBuildingParts: function(features, featuresLoaded, loadedBy = true) {
+    let result = new Set();
+    let newBuildings = [];
+    let newParts = [];
     for (let feature of features) {
       let properties = feature.properties;
-      let geometry = feature.geometry;
-      // let isArea = geometry.type == 'Polygon' || geometry.type == 'MultiPolygon';
-      let isArea = geometry.type != 'LineString' && geometry.type != 'Point';
-      // TODO: check if special handling is needed when building parts are in different tiles
+      let isArea = feature.geometry.type == 'Polygon' || feature.geometry.type == 'MultiPolygon';
       if (!featuresLoaded[feature.id] && isArea && ('building' in properties || 'building:part' in properties)) {
-        featuresLoaded[feature.id] = true;
-        let paths = feature.geometry.coordinates;
-        if (paths[0].length < 5) {
-          // console.log(feature);
-        }
-        let outline = this.geojsonCoords2plane(paths[0], lat, lon);
-        properties.tmp_outline = outline;
-        properties.tmp_bbox = new THREE.Box2().setFromPoints(outline);
-        id2feature[feature.id] = feature;
+        featuresLoaded[feature.id] = loadedBy;
+        result.add(feature.id);
+        properties.tmp_bbox = new THREE.Box2().setFromPoints(
+          this.outerRings(feature.geometry).map(([lon, lat]) => new THREE.Vector2(lon, lat)));
+        let entry = {feature: feature, bbox: properties.tmp_bbox, polygons: this.feature2polygons(feature.geometry)};
         if ('building' in properties) {
-          buildingIds.add(feature.id);
-        } else {
-          partIds.add(feature.id);
+          entry.parts = new Set(); // ids of the parts matched with the building
+          entry.replaced = false;
+          this.buildings.set(feature.id, entry);
+          newBuildings.push(entry);
+        } else if (!this.isRoof(feature)) {
+          // roof parts don't replace the building
+          entry.buildingId = null;
+          this.parts.set(feature.id, entry);
+          newParts.push(entry);
         }
-      } else {
-        if (!this.featuresLoaded[feature.id] && geometry.type != 'Point') {
-          // console.log(feature);
+      }
+    }
+
+    // match the new parts with all buildings, and earlier parts without building with the new buildings
+    let changed = new Set(); // ids of buildings with new parts
+    if (newParts.length) {
+      let buildings = Array.from(this.buildings.values());
+      for (let part of newParts) {
+        this.matchPart(part, buildings, changed);
+      }
+    }
+    if (newBuildings.length) {
+      for (let part of this.parts.values()) {
+        if (!part.buildingId && !newParts.includes(part)) {
+          this.matchPart(part, newBuildings, changed);
         }
-        ignored += 1;
       }
     }
 
-    // Identify buildings that are covered by building parts
-    // Generally, parts are contained in the building's footprint
-    // If parts are outside, a relation should be used
-    // If a part is on top of a building, both are kept
-    // console.log('Checking building parts');
-    let baseBuildingIds = new Set();  // feature ids of buildings that have building parts
-    let skippedBuildingIds = new Set();  // feature ids of buildings that are fully replaced by parts
-    let baseBuildings2parts = {};  // map building id to part ids
-    for (let partId of partIds) {
-      let part = id2feature[partId];
-      if (this.isRoof(part)) {
-        // ignore roof parts, they are not used to replace the building
-        continue;
+    for (let buildingId of changed) {
+      let building = this.buildings.get(buildingId);
+      if (!building.replaced && this.isReplacedByParts(building)) {
+        building.replaced = true;
+        this.replaced.push(buildingId);
       }
-      let buildingId = this.findBaseBuilding(part, buildingIds, id2feature, baseBuildingIds);
-      if (buildingId) {
-        baseBuildingIds.add(buildingId);
-        baseBuildings2parts[buildingId] = baseBuildings2parts[buildingId] || new Set();
-        baseBuildings2parts[buildingId].add(partId);
+    }
+    // this.logFeatures(features, ['Brandenburger Tor', 'Botschaft der Vereinigten Staaten von Amerika', 'Allianz Forum', 'Berliner Schloss', 'Berliner Fernsehturm']);
+    return result;
+  },
+
+  // Forget features, e.g. of an unloaded batch, so they're loaded again when needed
+  // Returns the ids of the remaining buildings that are no longer replaced by parts, to be shown by showBuildings
+  forgetFeatures: function(ids) {
+    let shown = [];
+    for (let id of ids) {
+      delete this.featuresLoaded[id];
+      let part = this.parts.get(id);
+      if (part && part.buildingId) {
+        let building = this.buildings.get(part.buildingId);
+        building.parts.delete(id);
+        if (building.replaced && !this.isReplacedByParts(building)) {
+          building.replaced = false;
+          shown.push(part.buildingId);
+        }
+      }
+      this.parts.delete(id);
+      let building = this.buildings.get(id);
+      if (building) {
+        for (let partId of building.parts) {
+          this.parts.get(partId).buildingId = null;
+        }
+        this.buildings.delete(id);
       }
     }
+    return shown.filter(id => this.buildings.has(id));
+  },
 
-    // Check the buildings with parts and skip those that are fully replaced
-    for (let buildingId of baseBuildingIds) {
-      if (baseBuildings2parts[buildingId].size == 1) {
-        // a building shouldn't be replaced by a single part, e.g. a roof, keep both
+  // Hide buildings that got replaced by parts, until they're shown again by showBuildings
+  // Each hidden building's vertices are collapsed and their positions kept in this.hidden
+  hideBuildings: function(ids) {
+    for (let id of ids) {
+      if (this.hidden.has(id)) {
         continue;
       }
-      let building = id2feature[buildingId];
-      for (let partId of baseBuildings2parts[buildingId]) {
-        let part = id2feature[partId];
-        if ('min_height' in part.properties && 'height' in building.properties
-          && part.properties.min_height >= building.properties.height) {
-          // building part is on top of building, keep both; e.g. https://www.openstreetmap.org/way/304339260
-          // console.log('Ignoring building part on top of building', part.properties, building.properties);
-        } else {
-          skippedBuildingIds.add(buildingId);
-          // break;
+      for (let entity of this.el.children) {
+        let mesh = entity.getObject3D('mesh');
+        let parts = mesh && mesh.userData.features ? mesh.userData.features.filter(part => part.id === id && !part.layer) : [];
+        if (parts.length) {
+          let position = mesh.geometry.getAttribute('position');
+          let saved = parts.map(part => ({start: part.start,
+            array: position.array.slice(part.start * 3, (part.start + part.count) * 3)}));
+          for (let part of parts) {
+            position.array.fill(0, part.start * 3, (part.start + part.count) * 3);
+          }
+          position.needsUpdate = true;
+          mesh.userData.grid = null; // see meshGrid
+          this.hidden.set(id, {entity: entity, saved: saved});
+          this.geometryVersion++;
         }
       }
     }
-    // this.logFeatures(features, ['Brandenburger Tor', 'Botschaft der Vereinigten Staaten von Amerika', 'Allianz Forum', 'Berliner Schloss', 'Berliner Fernsehturm']);
-    
-    // return featureIds without the skippedBuildingIds
-    // TODO: use the new Set operations once they are widely supported (just getting started in 2024)
-    // return new Set([...buildingIds].filter(x => !skippedBuildingIds.has(x)));
-    let result = new Set();
-    for (let fid of Object.keys(id2feature)) {
-      if (!skippedBuildingIds.has(fid)) {
-        result.add(fid);
+  },
+
+  // Show hidden buildings again, e.g. when the parts replacing them are unloaded, and forget the hidden buildings
+  // that were unloaded themselves
+  showBuildings: function(ids) {
+    for (let id of ids) {
+      let hidden = this.hidden.get(id);
+      if (hidden && hidden.entity.parentNode) {
+        let mesh = hidden.entity.getObject3D('mesh');
+        let position = mesh.geometry.getAttribute('position');
+        for (let part of hidden.saved) {
+          position.array.set(part.array, part.start * 3);
+        }
+        position.needsUpdate = true;
+        mesh.userData.grid = null; // see meshGrid
+        this.geometryVersion++;
+      }
+      this.hidden.delete(id);
+    }
+    for (let [id, hidden] of this.hidden) {
+      if (!hidden.entity.parentNode) {
+        this.hidden.delete(id);
       }
     }
-    return result;
   },
 
   // Iterate over features in geojson and add buildings to the scene
-  addBuildings: function(geojson) {
+  // batch is the tile batch the features were loaded for, if any
+  // Returns the entity containing all new buildings, or null if there were none
+  addBuildings: function(geojson, batch) {
+    if (batch) {
+      for (let [id, feature] of this.sharedFeatures(geojson, batch)) {
+        batch.shared.set(id, feature);
+      }
+    }
+    let geometry = this.buildGeometry(geojson, batch);
+    let trees = this.buildTrees(geojson, batch);
+    let entity = this.addGeometry(geometry, trees);
+    this.hideBuildings(this.replaced.splice(0));
+    return entity;
+  },
+
+  // Get the features in geojson that another tile batch built already, e.g. buildings crossing a tile border
+  // The batch keeps them to build them again when the other one is unloaded, see unloadBatch
+  // Returns a Map of their ids to the features
+  sharedFeatures: function(geojson, loadedBy) {
+    let shared = new Map();
+    for (let feature of geojson.features) {
+      let owner = this.featuresLoaded[feature.id];
+      if (owner && owner !== true && owner !== loadedBy) {
+        shared.set(feature.id, feature);
+      }
+    }
+    return shared;
+  },
+
+  // Convert the buildings in geojson that aren't loaded yet into one geometry with vertex colours
+  // loadedBy is stored for each new feature in featuresLoaded, see filterBuildingParts
+  // With workerUrl, this runs in the web worker, which posts the geometry's buffers back
+  // Returns the merged geometry, or null if there were no new buildings
+  // The geometry's userData.features lists {id, tags, start, count} with the vertex range of each feature
+  // With osm-style, features are split into walls and roof, which are listed as separate parts with the same id,
+  // the geometry has a group per material and userData.materials lists their keys for the material method of osm-style
+  buildGeometry: function(geojson, loadedBy) {
     let count = 0;
     let ignored = 0;
     let skipped = 0;
 
     let start = performance.now();
-    let featureIds = this.filterBuildingParts(geojson.features, this.featuresLoaded, this.data.lat, this.data.lon);
+    let featureIds = this.filterBuildingParts(geojson.features, this.featuresLoaded, loadedBy);
     let end = performance.now();
     // console.log("Processed", geojson.features.length, "features in", end - start, "ms");
     start = end;
 
-    // <a-entity geometry-merger="preserveOriginal: false" material="color: #AAA">
-    // let parent = document.createElement('a-entity');
-    let parent = this.el;
-
     let geometries = [];
+    let features = []; // {id, tags} of each geometry, to find features by vertex later
+    let materials = []; // material key of each geometry with osm-style
     for (let feature of geojson.features) {
       if (!featureIds.has(feature.id)) {
         ignored += 1;
         continue;
       }
-      let geometry = this.feature2geometry(feature, this.data.lat, this.data.lon);
+      let geometry = this.feature2geometry(feature, this.origin.lat, this.origin.lon);
       if (geometry) {
-        // show skipped buildings transparent
-        // if ('building' in feature.properties) {
-        //   let material = building.getAttribute('material');
-        //   building.setAttribute('material', material + ' transparent: true; opacity: 0.5;');
-        // }
-        // parent.appendChild(building);
-
-        // setting colours per vertex as in https://discourse.threejs.org/t/52799/2
-        // TODO: see if this can be simplified, e.g. with groups
-        // color.setHex(Math.random() * 0xffffff);
-        let color = new THREE.Color(this.feature2color(feature));
-        const colors = [];
-        const positionAttribute = geometry.getAttribute('position');
-        for (let i = 0; i < positionAttribute.count; i++) {
-          colors.push(color.r, color.g, color.b);
+        // building parts stand on the same ground as their building, so they stay aligned, and share its style
+        let building = this.buildings.get(feature.properties.tmp_buildingId);
+        building = building ? building.feature : feature;
+        let parts = [{geometry: geometry, material: null}];
+        if (this.style) {
+          parts = this.style.styleBuilding(feature, geometry, building);
+        } else {
+          this.setColor(geometry, this.feature2color(feature));
+        }
+        let tags = this.feature2tags(feature);
+        for (let part of parts) {
+          if (this.data.ambientOcclusion) {
+            this.ambientOcclusion(part.geometry);
+          }
+          if (this.terrain) {
+            part.geometry.translate(0, this.terrainHeight(this.outerRings(building.geometry)), 0);
+          }
+          geometries.push(part.geometry);
+          features.push({id: feature.id, tags: tags});
+          materials.push(part.material);
         }
-        const colorAttribute = new THREE.Float32BufferAttribute(colors, 3);
-        geometry.setAttribute('color', colorAttribute);
-        geometries.push(geometry);
 
         count += 1;
       } else {
@@ -550,68 +1300,916 @@ AFRAME.registerComponent('osm-geojson', {
       }
     }
 
-    // merge all geometries and add them as one entity to the scene
-    let geometry = THREE.BufferGeometryUtils.mergeBufferGeometries(geometries, false);
-    let material = new THREE.MeshStandardMaterial({vertexColors: true});
-    let mesh = new THREE.Mesh(geometry, material);
-    let entity = document.createElement('a-entity');
-    entity.setObject3D('mesh', mesh);
-    parent.appendChild(entity);
+    if (this.data.roads) {
+      for (let feature of geojson.features) {
+        if (!this.featuresLoaded[feature.id] && this.isRoad(feature)) {
+          this.featuresLoaded[feature.id] = loadedBy;
+          let geometry = this.road2geometry(feature, this.origin.lat, this.origin.lon);
+          if (geometry) {
+            this.drapeOnTerrain(geometry);
+            this.setColor(geometry, this.road2color(feature));
+            geometries.push(geometry);
+            features.push({id: feature.id, tags: this.feature2tags(feature)});
+            materials.push('ground');
+          }
+        }
+      }
+    }
 
+    if (this.data.areas) {
+      for (let feature of geojson.features) {
+        let style = this.featuresLoaded[feature.id] ? null : this.area2style(feature);
+        if (style) {
+          this.featuresLoaded[feature.id] = loadedBy;
+          let geometry = this.area2geometry(feature, style, this.origin.lat, this.origin.lon);
+          this.drapeOnTerrain(geometry);
+          this.setColor(geometry, style.color);
+          geometries.push(geometry);
+          features.push({id: feature.id, tags: this.feature2tags(feature)});
+          materials.push('ground');
+        }
+      }
+    }
 
-    // this.el.appendChild(parent);
+    if (geometries.length == 0) {
+      return null;
+    }
+
+    if (this.style) {
+      // sort by material, so each material is drawn at once, keeping the order of features otherwise
+      let order = geometries.map((geometry, i) => i);
+      order.sort((a, b) => materials[a] < materials[b] ? -1 : materials[a] > materials[b] ? 1 : a - b);
+      geometries = order.map(i => geometries[i]);
+      features = order.map(i => features[i]);
+      materials = order.map(i => materials[i]);
+    }
+
+    // merge all geometries, so they can be added as one entity to the scene
+    let geometry = THREE.BufferGeometryUtils.mergeBufferGeometries(geometries, false);
+    let first = 0;
+    for (let i = 0; i < features.length; i++) {
+      features[i].start = first;
+      features[i].count = geometries[i].getAttribute('position').count;
+      if (this.style) {
+        if (i == 0 || materials[i] != materials[i - 1]) {
+          geometry.userData.materials = (geometry.userData.materials || []).concat(materials[i]);
+          geometry.addGroup(first, 0, geometry.userData.materials.length - 1);
+        }
+        geometry.groups[geometry.groups.length - 1].count += features[i].count;
+      }
+      first += features[i].count;
+    }
+    geometry.userData.features = features;
     end = performance.now();
-    // console.log("Added", count, "buildings in", end - start, "ms");
+    // console.log("Built", count, "buildings in", end - start, "ms");
 
     // console.log("Loaded", count, "buildings, ignored", ignored, ", skipped", skipped);
+    return geometry;
   },
 
-  // Check if all tiles within the default radius around the given position are fully loaded
-  // otherwise load the missing ones as a single bounding box
-  // pos is the position in meters on the Aframe plane, we ignore the height
-  loadTilesAround: function(pos) {
-    if (this.data.radius_m <= 0) {
+  // Move each vertex of a geometry up by the terrain height at its position, e.g. for roads and areas
+  drapeOnTerrain: function(geometry) {
+    if (!this.terrain) {
       return;
     }
-    let tileX = this.tileBase[0] + pos.x / this.tileSize_m;
-    let tileY = this.tileBase[1] + pos.z / this.tileSize_m;
-
-    let radius = this.data.radius_m / this.tileSize_m;
-    let nTiles = 2 ** this.data.zoom;
-    let startX = Math.floor(tileX - radius);
-    let startY = Math.max(0, Math.floor(tileY - radius));
-    let endX = Math.ceil(tileX + radius);
-    let endY = Math.min(nTiles, Math.ceil(tileY + radius));
-    // using modulo for horizontal axis to wrap around the date line
-    startX = (startX + nTiles) % nTiles;
-    endX = (endX + nTiles) % nTiles;
-    // console.log(startX, startY, endX, endY);
-    
-    let bboxSWNE = []; // bounding box in [south,west,north,east] degrees
-    for (let y = startY; y < endY; y++) {
-      for (let x = startX; x < endX; x++) {
-        let xy = (y << this.data.zoom) + x;
-        if (!this.tilesLoaded.has(xy)) {
-          let bbox = this.tile2bbox(x, y, this.data.zoom);
-          if (bboxSWNE.length == 0) {
-            bboxSWNE = bbox;
-          } else {
-            bboxSWNE[0] = Math.min(bboxSWNE[0], bbox[0]);
-            bboxSWNE[1] = Math.min(bboxSWNE[1], bbox[1]);
-            bboxSWNE[2] = Math.max(bboxSWNE[2], bbox[2]);
-            bboxSWNE[3] = Math.max(bboxSWNE[3], bbox[3]);
+    let position = geometry.getAttribute('position');
+    for (let i = 0; i < position.count; i++) {
+      let coords = this.plane2coords(position.getX(i), -position.getZ(i));
+      position.setY(i, position.getY(i) + this.terrainHeight([coords]));
+    }
+    geometry.computeVertexNormals();
+  },
+
+  // Get the positions of the outlines of all polygons of a Polygon or MultiPolygon, as one path of [lon, lat] positions
+  outerRings: function(geometry) {
+    return this.feature2polygons(geometry).flatMap(paths => paths[0]);
+  },
+
+  // Get the OSM tags of a feature, without the id and temporary properties added while building
+  feature2tags: function(feature) {
+    let tags = {};
+    for (let [key, value] of Object.entries(feature.properties)) {
+      if (key != 'id' && !key.startsWith('tmp_')) {
+        tags[key] = value;
+      }
+    }
+    return tags;
+  },
+
+  // Find the feature hit by a raycaster, from one of the raycaster component's intersections
+  // Returns {id, tags, start, count} with the range of the feature's vertices in the hit mesh, or null
+  // With osm-style, that's the hit part of a building, its other parts have the same id
+  featureAt: function(intersection) {
+    let features = intersection.object.userData.features;
+    if (!features || intersection.faceIndex === undefined) {
+      return null;
+    }
+    // the merged geometry isn't indexed, so each face has its own three vertices
+    let vertex = intersection.faceIndex * 3;
+    let low = 0;
+    let high = features.length - 1;
+    while (low < high) {
+      let middle = Math.ceil((low + high) / 2);
+      if (features[middle].start <= vertex) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return features[low];
+  },
+
+  // Get the meshes of the buildings, roads and areas of all batches and src, without layers and trees
+  buildingMeshes: function() {
+    let layerEntities = new Set(Array.from(this.layers.values(), layer => layer.entity));
+    return Array.from(this.el.children).filter(entity => !layerEntities.has(entity))
+      .map(entity => entity.getObject3D('mesh')).filter(mesh => mesh);
+  },
+
+  // Find the closest surface of buildings, roads or areas hit by a ray from origin in direction within far meters
+  // origin and direction are Vector3 in scene coordinates, direction normalized
+  // It's called every frame, e.g. by birdman and heightAt, so only triangles near the ray are checked, see meshGrid
+  // Returns {point, normal, distance} in scene coordinates, or null if nothing is hit
+  raycast: function(origin, direction, far = Infinity) {
+    let closest = null;
+    for (let mesh of this.buildingMeshes()) {
+      let hit = this.raycastMesh(mesh, origin, direction, far);
+      if (hit && (!closest || hit.distance < closest.distance)) {
+        closest = hit;
+      }
+    }
+    return closest;
+  },
+
+  // Find the closest front face of a mesh hit by a ray like raycast, checking only the triangles of the grid cells
+  // the ray passes through; the grid is in the mesh's coordinates, so it stays valid when rebase moves the mesh
+  raycastMesh: function(mesh, origin, direction, far) {
+    let grid = this.meshGrid(mesh);
+    this.inverseMatrix.copy(mesh.matrixWorld).invert();
+    let ray = this.ray.set(origin, direction).applyMatrix4(this.inverseMatrix);
+    // the part of the ray within far and the grid's box, as distances along the ray in the mesh's coordinates
+    let start = 0;
+    let end = far == Infinity ? Infinity
+      : direction.clone().multiplyScalar(far).add(origin).applyMatrix4(this.inverseMatrix).distanceTo(ray.origin);
+    let axes = [['x', grid.box.min.x, grid.box.max.x], ['z', grid.box.min.y, grid.box.max.y]];
+    for (let [axis, min, max] of axes) {
+      if (ray.direction[axis] != 0) {
+        let [t1, t2] = [min, max].map(bound => (bound - ray.origin[axis]) / ray.direction[axis]);
+        start = Math.max(start, Math.min(t1, t2));
+        end = Math.min(end, Math.max(t1, t2));
+      } else if (ray.origin[axis] < min || ray.origin[axis] > max) {
+        return null;
+      }
+    }
+    if (start > end) {
+      return null; // the ray passes beside the mesh
+    }
+    let [x1, x2] = [start, end].map(t => ray.direction.x ? ray.origin.x + ray.direction.x * t : ray.origin.x);
+    let [z1, z2] = [start, end].map(t => ray.direction.z ? ray.origin.z + ray.direction.z * t : ray.origin.z);
+    let candidates = this.gridTriangles(grid, Math.min(x1, x2), Math.min(z1, z2), Math.max(x1, x2), Math.max(z1, z2));
+    if (grid.large.length) {
+      candidates = candidates.concat(grid.large);
+    }
+    let position = mesh.geometry.getAttribute('position');
+    let index = mesh.geometry.index;
+    let [vertexA, vertexB, vertexC] = this.triangle;
+    let closest = null;
+    let point = new THREE.Vector3();
+    for (let triangle of candidates) {
+      let i = triangle * 3;
+      vertexA.fromBufferAttribute(position, index ? index.getX(i) : i);
+      vertexB.fromBufferAttribute(position, index ? index.getX(i + 1) : i + 1);
+      vertexC.fromBufferAttribute(position, index ? index.getX(i + 2) : i + 2);
+      // like three's raycast for single sided materials, faces seen from behind aren't hit
+      if (!ray.intersectTriangle(vertexA, vertexB, vertexC, true, point)) {
+        continue;
+      }
+      let hitPoint = point.clone().applyMatrix4(mesh.matrixWorld);
+      let distance = hitPoint.distanceTo(origin);
+      if (distance <= far && (!closest || distance < closest.distance)) {
+        let normal = THREE.Triangle.getNormal(vertexA, vertexB, vertexC, new THREE.Vector3())
+          .transformDirection(mesh.matrixWorld);
+        closest = {point: hitPoint, normal: normal, distance: distance};
+      }
+    }
+    return closest;
+  },
+
+  // Get the grid of a mesh's triangles by their horizontal position, built when it's first needed and kept in its
+  // userData until hideBuildings or showBuildings change the vertices
+  // Returns {box, columns, rows, cells, large}, box is the Box2 of the mesh's x, z, cells list the triangles whose
+  // bounding box overlaps each GRID_CELL_M square of it row by row, and large the triangles overlapping too many cells
+  meshGrid: function(mesh) {
+    if (mesh.userData.grid) {
+      return mesh.userData.grid;
+    }
+    let position = mesh.geometry.getAttribute('position');
+    let index = mesh.geometry.index;
+    let count = (index ? index.count : position.count) / 3;
+    let vertex = (i) => index ? index.getX(i) : i;
+    let box = new THREE.Box2();
+    for (let i = 0; i < position.count; i++) {
+      box.expandByPoint(new THREE.Vector2(position.getX(i), position.getZ(i)));
+    }
+    let size = box.getSize(new THREE.Vector2());
+    let grid = {box: box, columns: Math.max(1, Math.ceil(size.x / this.GRID_CELL_M)),
+      rows: Math.max(1, Math.ceil(size.y / this.GRID_CELL_M)), cells: [], large: []};
+    grid.cells = Array.from({length: grid.columns * grid.rows}, () => []);
+    for (let triangle = 0; triangle < count; triangle++) {
+      let xs = [0, 1, 2].map(j => position.getX(vertex(triangle * 3 + j)));
+      let zs = [0, 1, 2].map(j => position.getZ(vertex(triangle * 3 + j)));
+      let [minColumn, minRow, maxColumn, maxRow] = this.gridCells(grid,
+        Math.min(...xs), Math.min(...zs), Math.max(...xs), Math.max(...zs));
+      if ((maxColumn - minColumn + 1) * (maxRow - minRow + 1) > this.GRID_MAX_CELLS) {
+        grid.large.push(triangle);
+        continue;
+      }
+      for (let row = minRow; row <= maxRow; row++) {
+        for (let column = minColumn; column <= maxColumn; column++) {
+          grid.cells[row * grid.columns + column].push(triangle);
+        }
+      }
+    }
+    mesh.userData.grid = grid;
+    return grid;
+  },
+
+  // Get the [minColumn, minRow, maxColumn, maxRow] of the grid cells overlapping an area of the mesh's x, z
+  gridCells: function(grid, minX, minZ, maxX, maxZ) {
+    let column = (x) => THREE.MathUtils.clamp(Math.floor((x - grid.box.min.x) / this.GRID_CELL_M), 0, grid.columns - 1);
+    let row = (z) => THREE.MathUtils.clamp(Math.floor((z - grid.box.min.y) / this.GRID_CELL_M), 0, grid.rows - 1);
+    return [column(minX), row(minZ), column(maxX), row(maxZ)];
+  },
+
+  // Get the triangles in the grid cells overlapping an area of the mesh's x, z, each only once
+  gridTriangles: function(grid, minX, minZ, maxX, maxZ) {
+    let [minColumn, minRow, maxColumn, maxRow] = this.gridCells(grid, minX, minZ, maxX, maxZ);
+    if (minColumn == maxColumn && minRow == maxRow) {
+      return grid.cells[minRow * grid.columns + minColumn];
+    }
+    let triangles = new Set();
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let column = minColumn; column <= maxColumn; column++) {
+        for (let triangle of grid.cells[row * grid.columns + column]) {
+          triangles.add(triangle);
+        }
+      }
+    }
+    return Array.from(triangles);
+  },
+
+  // Get the height in meters of the ground or the highest building below the scene position x, z
+  // Only surfaces up to maxY are considered, so something below a bridge or an overhang finds what's under it
+  // The ground is at y = 0, or on the terrain with osm-terrain
+  heightAt: function(x, z, maxY = 10000) {
+    let ground = this.terrainHeight([this.plane2coords(x, -z)]);
+    let hit = this.raycast(new THREE.Vector3(x, maxY, z), this.DOWN);
+    return hit ? Math.max(ground, hit.point.y) : ground;
+  },
+
+  // Darken the vertex colours of walls towards the ground, a cheap approximation of ambient occlusion
+  // Walls are faces with horizontal normals, the geometry has to stand on y = 0, so it's applied before the terrain
+  ambientOcclusion: function(geometry) {
+    let position = geometry.getAttribute('position');
+    let normal = geometry.getAttribute('normal');
+    let color = geometry.getAttribute('color');
+    for (let i = 0; i < position.count; i++) {
+      if (Math.abs(normal.getY(i)) < 0.5) {
+        let factor = this.AO_MIN + (1 - this.AO_MIN) * Math.min(1, Math.max(0, position.getY(i)) / this.AO_HEIGHT_M);
+        color.setXYZ(i, color.getX(i) * factor, color.getY(i) * factor, color.getZ(i) * factor);
+      }
+    }
+  },
+
+  // Set the colour of all vertices of a geometry
+  // If opacity is given, it's added as alpha, which all geometries merged with this one need as well
+  setColor: function(geometry, colorString, opacity) {
+    // setting colours per vertex as in https://discourse.threejs.org/t/52799/2
+    // TODO: see if this can be simplified, e.g. with groups
+    // color.setHex(Math.random() * 0xffffff);
+    let color = new THREE.Color(colorString);
+    const colors = [];
+    const positionAttribute = geometry.getAttribute('position');
+    for (let i = 0; i < positionAttribute.count; i++) {
+      colors.push(color.r, color.g, color.b);
+      if (opacity !== undefined) {
+        colors.push(opacity);
+      }
+    }
+    const colorAttribute = new THREE.Float32BufferAttribute(colors, opacity === undefined ? 3 : 4);
+    geometry.setAttribute('color', colorAttribute);
+  },
+
+  // Check if a feature is a road, railway or path that should be shown
+  // Tunnels are hidden, as well as roads and railways that don't exist (anymore)
+  isRoad: function(feature) {
+    let properties = feature.properties;
+    let type = properties.highway || properties.railway;
+    if (feature.geometry.type != 'LineString' || !type) {
+      return false;
+    }
+    let isTunnel = 'tunnel' in properties && properties.tunnel != 'no' && properties.tunnel != 'building_passage';
+    return !isTunnel && !['proposed', 'abandoned', 'razed', 'dismantled', 'platform', 'bus_stop'].includes(type);
+  },
+
+  // Extract or estimate the width of a road in meters
+  road2width: function(feature) {
+    let properties = feature.properties;
+    let width = parseFloat(properties.width);
+    if (width > 0) {
+      return width;
+    }
+    let lanes = parseInt(properties.lanes);
+    if (lanes > 0) {
+      return lanes * this.LANE_WIDTH_M;
+    }
+    return this.ROAD_WIDTH_M[properties.highway || properties.railway] || this.DEFAULT_ROAD_WIDTH_M;
+  },
+
+  // Extract or estimate the colour of a road
+  road2color: function(feature) {
+    let properties = feature.properties;
+    if ('railway' in properties) {
+      return '#555';
+    }
+    if (['footway', 'path', 'track', 'steps', 'bridleway', 'cycleway', 'pedestrian'].includes(properties.highway)) {
+      return '#c8b8a0';
+    }
+    return ['motorway', 'trunk', 'primary', 'secondary'].includes(properties.highway) ? '#777' : '#999';
+  },
+
+  // Create a flat ribbon along the road's path, raised by its layer if it's a bridge
+  // baseLat and baseLon are used as reference position to convert geocoordinates to meters on plane
+  road2geometry: function(feature, baseLat, baseLon) {
+    let properties = feature.properties;
+    let points = this.geojsonCoords2plane(feature.geometry.coordinates, baseLat, baseLon);
+    let height = this.ROAD_HEIGHT_M[properties.highway] || this.DEFAULT_ROAD_HEIGHT_M;
+    if ('bridge' in properties && properties.bridge != 'no') {
+      height += (parseInt(properties.layer) || 1) * this.LAYER_HEIGHT_M;
+    }
+    return this.createRibbon(points, this.road2width(feature), height);
+  },
+
+  // Create a flat ribbon of given width along a path at given height, all in meters
+  // points is a Vector2 array of x,y positions in meters as returned by geojsonCoords2plane
+  // Returns null if the path has less than two distinct points
+  createRibbon: function(points, width, height) {
+    points = points.filter((p, i) => i == 0 || !p.equals(points[i - 1]));
+    if (points.length < 2) {
+      return null;
+    }
+    let halfWidth = width / 2;
+
+    // offset each point to both sides, at corners along the average of both segments' normals
+    let left = [];
+    let right = [];
+    for (let i = 0; i < points.length; i++) {
+      let before = points[Math.max(0, i - 1)];
+      let after = points[Math.min(points.length - 1, i + 1)];
+      let normal1 = points[i].clone().sub(before).normalize();
+      let normal2 = after.clone().sub(points[i]).normalize();
+      let dir = normal1.add(normal2).normalize();
+      let normal = new THREE.Vector2(-dir.y, dir.x);
+      // widen the ribbon at corners to keep its width, but limit it at sharp corners
+      let segment = after.clone().sub(points[i]);
+      if (segment.lengthSq() == 0) {
+        segment = points[i].clone().sub(before);
+      }
+      let cos = Math.abs(normal.dot(new THREE.Vector2(-segment.y, segment.x).normalize()));
+      let offset = halfWidth / Math.max(cos, 0.5);
+      left.push(points[i].clone().addScaledVector(normal, offset));
+      right.push(points[i].clone().addScaledVector(normal, -offset));
+    }
+
+    // two triangles per segment, facing up; the plane's y axis is north, which is -z in the scene
+    let positions = [];
+    for (let i = 1; i < points.length; i++) {
+      for (let p of [left[i - 1], right[i - 1], right[i], left[i - 1], right[i], left[i]]) {
+        positions.push(p.x, height, -p.y);
+      }
+    }
+    let geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    // uv is unused, but needed to merge with the building geometries
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(new Float32Array(positions.length / 3 * 2), 2));
+    geometry.computeVertexNormals();
+    return geometry;
+  },
+
+  // Get the style of a water, park, wood or landuse area, or null if the feature isn't such an area
+  area2style: function(feature) {
+    let properties = feature.properties;
+    let geometry = feature.geometry;
+    if (geometry.type != 'Polygon' && geometry.type != 'MultiPolygon') {
+      return null;
+    }
+    if (properties.natural == 'water' || properties.waterway == 'riverbank' || properties.natural == 'wetland') {
+      return this.AREA_STYLES.water;
+    }
+    if (properties.natural == 'wood' || properties.landuse == 'forest') {
+      return this.AREA_STYLES.wood;
+    }
+    if ('leisure' in properties || ['scrub', 'grassland', 'heath'].includes(properties.natural) ||
+        ['grass', 'meadow', 'recreation_ground', 'village_green'].includes(properties.landuse)) {
+      return this.AREA_STYLES.park;
+    }
+    if ('landuse' in properties) {
+      let color = this.LANDUSE_COLORS[properties.landuse];
+      return color ? {color: color, height_m: this.AREA_STYLES.landuse.height_m} : this.AREA_STYLES.landuse;
+    }
+    return null;
+  },
+
+  // Create a flat ground polygon for an area, with holes and all parts of multipolygons
+  // baseLat and baseLon are used as reference position to convert geocoordinates to meters on plane
+  area2geometry: function(feature, style, baseLat, baseLon) {
+    let polygons = feature.geometry.type == 'MultiPolygon' ? feature.geometry.coordinates : [feature.geometry.coordinates];
+    let geometries = polygons.map(paths => this.createGeometry(
+      this.geojsonCoords2plane(paths[0], baseLat, baseLon),
+      paths.slice(1).map(path => this.geojsonCoords2plane(path, baseLat, baseLon)),
+      style.height_m, 0));
+    return geometries.length == 1 ? geometries[0] : THREE.BufferGeometryUtils.mergeBufferGeometries(geometries, false);
+  },
+
+  // Collect the trees in geojson that aren't loaded yet, single trees as well as the trees of tree rows
+  // loadedBy is stored for each new feature in featuresLoaded, see filterBuildingParts
+  // The result is a plain array rather than a mesh, so the web worker can transfer it
+  // Returns a Float32Array with x, y, z, height and crown diameter in meters of each tree, or null without trees
+  buildTrees: function(geojson, loadedBy) {
+    if (!this.data.trees) {
+      return null;
+    }
+    let trees = [];
+    for (let feature of geojson.features) {
+      let properties = feature.properties;
+      let type = feature.geometry.type;
+      let isTree = properties.natural == 'tree' && type == 'Point';
+      let isRow = properties.natural == 'tree_row' && type == 'LineString';
+      if (this.featuresLoaded[feature.id] || !(isTree || isRow)) {
+        continue;
+      }
+      this.featuresLoaded[feature.id] = loadedBy;
+      let height = properties.height ? this.height2meters(properties.height) : NaN;
+      height = height > 0 ? height : this.DEFAULT_TREE_HEIGHT_M;
+      let crown = parseFloat(properties.diameter_crown) || height * 0.6;
+      let coords = isTree ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+      let points = this.geojsonCoords2plane(coords, this.origin.lat, this.origin.lon);
+      if (isTree) {
+        trees.push(points[0].x, this.terrainHeight(coords), -points[0].y, height, crown);
+        continue;
+      }
+      // place the trees of a row in regular distances along the line, the plane's y axis is north (-z)
+      let next = 0; // distance of the next tree from the start of the current segment
+      for (let i = 1; i < points.length; i++) {
+        let length = points[i].distanceTo(points[i - 1]);
+        for (; next <= length; next += this.TREE_ROW_SPACING_M) {
+          let point = points[i - 1].clone().lerp(points[i], length > 0 ? next / length : 0);
+          trees.push(point.x, this.terrainHeight([this.plane2coords(point.x, point.y)]), -point.y, height, crown);
+        }
+        next -= length;
+      }
+    }
+    return trees.length > 0 ? new Float32Array(trees) : null;
+  },
+
+  // Create an instanced mesh of simple trees from the array returned by buildTrees
+  createTrees: function(trees) {
+    if (!this.treeGeometry) {
+      // a trunk and a cone as crown, 1 meter high and wide, scaled per tree
+      let trunk = new THREE.CylinderGeometry(0.05, 0.07, 0.3, 5);
+      trunk.translate(0, 0.15, 0);
+      this.setColor(trunk, '#7a5a3a');
+      let crown = new THREE.ConeGeometry(0.5, 0.8, 7);
+      crown.translate(0, 0.6, 0);
+      this.setColor(crown, '#4f7f3a');
+      this.treeGeometry = THREE.BufferGeometryUtils.mergeBufferGeometries([trunk, crown], false);
+      this.treeMaterial = new THREE.MeshStandardMaterial({vertexColors: true, flatShading: true});
+    }
+    let count = trees.length / 5;
+    let mesh = new THREE.InstancedMesh(this.treeGeometry, this.treeMaterial, count);
+    let matrix = new THREE.Matrix4();
+    for (let i = 0; i < count; i++) {
+      let [x, y, z, height, crown] = trees.subarray(i * 5, i * 5 + 5);
+      matrix.makeScale(crown, height, crown).setPosition(x, y, z);
+      mesh.setMatrixAt(i, matrix);
+    }
+    return mesh;
+  },
+
+  // Add a geometry from buildGeometry and trees from buildTrees as a new entity to the scene
+  // Returns the entity, or null if both are null
+  addGeometry: function(geometry, trees = null) {
+    if (!geometry && !trees) {
+      return null;
+    }
+    let entity = document.createElement('a-entity');
+    entity.classList.add('collidable');
+    // shadows need a light casting them, e.g. the sun of osm-sun
+    entity.setAttribute('shadow', {cast: true, receive: true});
+    if (geometry) {
+      // styled geometries have a group per material, which are shared by all entities
+      let material = geometry.userData.materials
+        ? geometry.userData.materials.map(key => this.el.sceneEl.systems['osm-style'].material(key))
+        : new THREE.MeshStandardMaterial({vertexColors: true});
+      let mesh = new THREE.Mesh(geometry, material);
+      mesh.userData.features = geometry.userData.features;
+      entity.setObject3D('mesh', mesh);
+    }
+    if (trees) {
+      entity.setObject3D('trees', this.createTrees(trees));
+    }
+    this.el.appendChild(entity);
+    this.geometryVersion++;
+    return entity;
+  },
+
+  // Add a named layer of geojson features to the scene, replacing an existing layer with the same name
+  // source is the url of a geojson file, a geojson string or an already parsed geojson object
+  // (a FeatureCollection, Feature or list of features)
+  // style sets how the layer's features look, with these keys:
+  // * color: colour of the feature, default is building:colour or gray
+  // * opacity: 0 (invisible) to 1 (opaque), default 1
+  // * height_m: height of the top above the ground, default is taken from height or building:levels like buildings,
+  //   for lines 0.1, for points 10
+  // * minHeight_m: height of the bottom of polygons and points above the ground, default min_height or 0
+  // * width_m: width of lines, default 2
+  // * radius_m: radius of the cylinders shown for points, default 1
+  // Each value can be
+  // * a constant, e.g. {color: '#f80'}
+  // * a function of the feature's properties and the feature, e.g. {height_m: (properties) => properties.floors * 3}
+  // * a rule to take it from a property, optionally mapping its values or scaling numbers, and a default if missing:
+  //   {color: {property: 'status', values: {planned: '#f80', approved: '#0a0'}, default: 'gray'}}
+  //   {height_m: {property: 'floors', scale: 3, default: 6}}
+  // Polygons are extruded, lines shown as flat ribbons and points as cylinders, placed on the terrain if there is one
+  // Layers are built on the main thread and rebuilt for the new origin when lat/lon change
+  // Emits osm-layer-added with {name, entity, count} when the layer is shown, count is its number of features,
+  // or osm-layer-error with {name, error} if it can't be loaded
+  // Returns a promise of the layer's entity, which is null if it has no features to show or failed
+  addLayer: async function(name, source, style = {}) {
+    if (this.layers.has(name)) {
+      this.removeLayer(name);
+    }
+    let layer = {name: name, style: style, geojson: null, entity: null, token: null};
+    this.layers.set(name, layer);
+    try {
+      let geojson = typeof source == 'string' && !/^\s*[[{]/.test(source)
+        ? await fetch(source).then(response => {
+          if (!response.ok) {
+            throw new Error(`status ${response.status}`);
           }
-          this.tilesLoaded.add(xy); // mark tile as loaded BEFORE the request to avoid multiple requests
+          return response.json();
+        })
+        : source;
+      if (typeof geojson == 'string') {
+        geojson = JSON.parse(geojson);
+      }
+      if (this.layers.get(name) !== layer) {
+        return null; // removed or replaced while loading
+      }
+      let features = Array.isArray(geojson) ? geojson : geojson.type == 'Feature' ? [geojson] : geojson.features;
+      // features without geometry can't be shown, missing properties are allowed by the geojson spec
+      // the features are copied, so the caller's objects aren't changed
+      features = features.filter(feature => feature.geometry && feature.geometry.coordinates)
+        .map(feature => Object.assign({}, feature, {properties: feature.properties || {}}));
+      layer.geojson = {type: 'FeatureCollection', features: features};
+      let entity = await this.showLayer(layer);
+      if (this.layers.get(name) !== layer) {
+        return null;
+      }
+      this.el.emit('osm-layer-added', {name: name, entity: entity, count: features.length});
+      return entity;
+    } catch (error) {
+      if (this.layers.get(name) === layer) {
+        this.layers.delete(name);
+      }
+      console.warn('osm-geojson: failed to add layer', name, error);
+      this.el.emit('osm-layer-error', {name: name, error: error});
+      return null;
+    }
+  },
+
+  // Remove a layer added with addLayer from the scene, emits osm-layer-removed with {name}
+  // Returns false if there's no layer with that name
+  removeLayer: function(name) {
+    let layer = this.layers.get(name);
+    if (!layer) {
+      return false;
+    }
+    this.layers.delete(name);
+    layer.token = null; // drop builds in progress
+    if (layer.entity && layer.entity.parentNode) {
+      this.removeEntity(layer.entity);
+    }
+    this.el.emit('osm-layer-removed', {name: name});
+    return true;
+  },
+
+  // Build a layer for the current origin and replace its entity, after loading the terrain underneath
+  // Returns a promise of the new entity, or null if there's nothing to show or a newer build replaced this one
+  showLayer: async function(layer) {
+    let token = layer.token = {};
+    await this.loadTerrain(this.features2bbox(layer.geojson.features));
+    if (layer.token !== token) {
+      return null;
+    }
+    if (layer.entity && layer.entity.parentNode) {
+      this.removeEntity(layer.entity);
+    }
+    let geometry = this.buildLayerGeometry(layer);
+    layer.entity = this.addGeometry(geometry);
+    if (geometry && geometry.userData.transparent) {
+      layer.entity.getObject3D('mesh').material.transparent = true;
+    }
+    return layer.entity;
+  },
+
+  // Convert the features of a layer into one geometry with vertex colours including opacity, see addLayer
+  // Returns the merged geometry, or null if no feature could be converted
+  // The geometry's userData.features lists {id, tags, start, count, layer} like buildGeometry
+  // and userData.transparent is true if any feature isn't opaque
+  buildLayerGeometry: function(layer) {
+    let geometries = [];
+    let features = [];
+    let transparent = false;
+    layer.geojson.features.forEach((feature, i) => {
+      let geometry = this.layerFeature2geometry(feature, layer.style);
+      if (geometry) {
+        let opacity = this.styleValue(layer.style.opacity, feature, 1);
+        transparent = transparent || opacity < 1;
+        this.setColor(geometry, this.styleValue(layer.style.color, feature, this.feature2color(feature)), opacity);
+        geometries.push(geometry);
+        // features of your own data often have no id, so they get one from the layer name and their index
+        let id = feature.id !== undefined ? feature.id : `${layer.name}/${i}`;
+        features.push({id: id, tags: this.feature2tags(feature), layer: layer.name});
+      }
+    });
+    if (geometries.length == 0) {
+      return null;
+    }
+    let geometry = THREE.BufferGeometryUtils.mergeBufferGeometries(geometries, false);
+    let first = 0;
+    for (let i = 0; i < features.length; i++) {
+      features[i].start = first;
+      features[i].count = geometries[i].getAttribute('position').count;
+      first += features[i].count;
+    }
+    geometry.userData.features = features;
+    geometry.userData.transparent = transparent;
+    return geometry;
+  },
+
+  // Convert a feature of a layer into a geometry with its style, see addLayer
+  // Returns null for unsupported geometry types, e.g. GeometryCollection, or if nothing is left to show
+  layerFeature2geometry: function(feature, style) {
+    // meters can be given as strings with units like in OSM tags, e.g. '10 m'
+    let meters = (value) => typeof value == 'string' ? this.height2meters(value) : value;
+    let type = feature.geometry.type;
+    let parts = type.startsWith('Multi') ? feature.geometry.coordinates : [feature.geometry.coordinates];
+    let geometries = [];
+    for (let part of parts) {
+      let geometry = null;
+      if (type == 'Polygon' || type == 'MultiPolygon') {
+        let height = meters(this.styleValue(style.height_m, feature, this.feature2height(feature)));
+        let minHeight = meters(this.styleValue(style.minHeight_m, feature, this.feature2minHeight(feature)));
+        geometry = this.createGeometry(this.geojsonCoords2plane(part[0], this.origin.lat, this.origin.lon),
+          part.slice(1).map(path => this.geojsonCoords2plane(path, this.origin.lat, this.origin.lon)), height, minHeight);
+        geometry.translate(0, this.terrainHeight(part[0]), 0);
+      } else if (type == 'LineString' || type == 'MultiLineString') {
+        let width = meters(this.styleValue(style.width_m, feature, this.LAYER_LINE_WIDTH_M));
+        let height = meters(this.styleValue(style.height_m, feature, this.DEFAULT_ROAD_HEIGHT_M));
+        geometry = this.createRibbon(this.geojsonCoords2plane(part, this.origin.lat, this.origin.lon), width, height);
+        if (geometry) {
+          this.drapeOnTerrain(geometry);
         }
+      } else if (type == 'Point' || type == 'MultiPoint') {
+        let radius = meters(this.styleValue(style.radius_m, feature, this.LAYER_POINT_RADIUS_M));
+        let height = meters(this.styleValue(style.height_m, feature, this.LAYER_POINT_HEIGHT_M));
+        let minHeight = meters(this.styleValue(style.minHeight_m, feature, this.feature2minHeight(feature)));
+        // positions may have an altitude as third value, which is ignored
+        let [x_m, z_m] = osmGeo.latlon2plane_m(part[1], part[0], this.origin.lat, this.origin.lon);
+        let center = new THREE.Vector2(x_m, -z_m);
+        let circle = [];
+        for (let i = 0; i < this.LAYER_POINT_SEGMENTS; i++) {
+          let angle = i / this.LAYER_POINT_SEGMENTS * 2 * Math.PI;
+          circle.push(new THREE.Vector2(center.x + radius * Math.cos(angle), center.y + radius * Math.sin(angle)));
+        }
+        geometry = this.createGeometry(circle, [], height, minHeight);
+        geometry.translate(0, this.terrainHeight([part]), 0);
       }
+      if (geometry) {
+        geometries.push(geometry);
+      }
+    }
+    if (geometries.length <= 1) {
+      return geometries[0] || null;
     }
+    return THREE.BufferGeometryUtils.mergeBufferGeometries(geometries, false);
+  },
 
-    if (bboxSWNE.length > 0) {
-      // console.log("Bounding box for missing tiles (SWNE): ", bboxSWNE);
-      this.loadOSMbuildingsBbox(bboxSWNE).then((json) => {
-        let geojson = osmtogeojson(json);
-        this.addBuildings(geojson);
-      });
+  // Get a style value for a feature, see addLayer for the possible rules
+  // Returns fallback if the rule is missing or gives no value
+  styleValue: function(rule, feature, fallback) {
+    let value = rule;
+    if (typeof rule == 'function') {
+      value = rule(feature.properties, feature);
+    } else if (rule && typeof rule == 'object') {
+      value = feature.properties[rule.property];
+      if (rule.values) {
+        value = rule.values[value];
+      } else if (rule.scale !== undefined && value !== undefined) {
+        value = parseFloat(value) * rule.scale;
+      }
+      if (value === undefined || value === null || Number.isNaN(value)) {
+        value = rule.default;
+      }
+    }
+    return value === undefined || value === null || Number.isNaN(value) ? fallback : value;
+  },
+
+  // Remove an entity created by addBuildings from the scene and free its geometry and material
+  // The trees' geometry and material are shared, so only their instances are freed, like the materials of osm-style
+  removeEntity: function(entity) {
+    let mesh = entity.getObject3D('mesh');
+    if (mesh) {
+      mesh.geometry.dispose();
+      if (!Array.isArray(mesh.material)) {
+        mesh.material.dispose();
+      }
+    }
+    let trees = entity.getObject3D('trees');
+    if (trees) {
+      trees.dispose();
+    }
+    entity.parentNode.removeChild(entity);
+    this.geometryVersion++;
+  },
+
+  // Remove a tile batch from the scene and forget its tiles and features, so they get loaded again when needed
+  // Features that other loaded batches got as well are built again by one of them, so a building crossing a tile
+  // border doesn't leave a hole while its other tile is still loaded
+  unloadBatch: function(batch) {
+    this.batches.delete(batch);
+    for (let [x, y] of batch.tiles) {
+      this.tilesLoaded.delete(`${x}/${y}`);
+    }
+    let ids = Object.keys(this.featuresLoaded).filter(id => this.featuresLoaded[id] === batch);
+    // the worker answers with the buildings to show
+    let shown = this.forgetFeatures(ids);
+    if (this.worker) {
+      this.worker.postMessage({type: 'forget', ids: ids, batchId: batch.requestId});
+    }
+    for (let entity of batch.entities) {
+      this.removeEntity(entity);
+    }
+    this.showBuildings(shown);
+    // each feature goes to the first batch that has it, see sharedFeatures
+    let rest = new Set(ids);
+    for (let other of this.batches) {
+      let shared = Array.from(rest).filter(id => other.shared.has(id));
+      if (shared.length) {
+        shared.forEach(id => rest.delete(id));
+        this.rebuildFeatures(other, shared);
+      }
+    }
+  },
+
+  // Build the features of an unloaded batch again for another tile batch that got them as well, see unloadBatch
+  // They're added as another entity of the batch, by the web worker if there is one, as it keeps the features then
+  rebuildFeatures: function(batch, ids) {
+    if (this.worker) {
+      let id = this.nextRequestId++;
+      this.requests.set(id, {batch: batch, origin: this.origin, rebuild: true});
+      this.worker.postMessage(Object.assign({type: 'rebuild', id: id, batchId: batch.requestId, ids: ids},
+        this.workerSettings()));
+      return;
+    }
+    let entity = this.addBuildings({type: 'FeatureCollection', features: ids.map(id => batch.shared.get(id))}, batch);
+    if (entity) {
+      batch.entities.push(entity);
+    }
+  },
+
+  // Load the buildings of a tile batch and add them to the scene
+  // This happens in the web worker if there is one, otherwise on the main thread
+  requestBatch: function(batch) {
+    batch.origin = this.origin;
+    if (this.worker) {
+      batch.requestId = this.nextRequestId++;
+      this.requests.set(batch.requestId, {batch: batch, origin: this.origin, rebuild: false});
+      this.worker.postMessage(Object.assign({type: 'load', id: batch.requestId, tiles: batch.tiles},
+        this.workerSettings()));
+      return;
+    }
+    let terrain = this.loadTerrain(this.tiles2bbox(batch.tiles));
+    Promise.all([this.loadTilesGeojson(batch.tiles), terrain]).then(([geojson]) => {
+      this.onBatchDone();
+      if (batch.origin !== this.origin && this.batches.has(batch)) {
+        this.unloadBatch(batch); // built for the old origin, load it again
+      } else if (this.batches.has(batch)) { // skip batches unloaded or reset while loading
+        let entity = this.addBuildings(geojson, batch);
+        if (entity) {
+          batch.entities.push(entity);
+        }
+      }
+    }, (error) => {
+      this.onBatchDone();
+      if (this.batches.has(batch)) {
+        this.onBatchFailed(batch, error);
+      }
+    });
+  },
+
+  // Get what the web worker needs to build like the component: its data and origin, and the data of the osm-cache,
+  // osm-terrain and osm-style systems or null without them
+  workerSettings: function() {
+    return {data: this.data, origin: this.origin, cache: this.cache ? this.cache.data : null,
+      terrain: this.terrain ? this.terrain.data : null, style: this.style ? this.style.data : null};
+  },
+
+  // Forget the tiles of a batch that couldn't be loaded, so they're requested again after a pause
+  onBatchFailed: function(batch, error) {
+    console.warn('osm-geojson: failed to load buildings', error);
+    this.unloadBatch(batch);
+    this.pausedUntil = performance.now() + this.FAILURE_PAUSE_MS;
+  },
+
+  // Find the first [lon, lat] position of a geojson geometry, to assign the feature to a single tile
+  firstCoordinate: function(geometry) {
+    let coords = geometry.coordinates;
+    while (Array.isArray(coords[0])) {
+      coords = coords[0];
+    }
+    return coords;
+  },
+
+  // Get the key of a tile in the cache, which depends on the Overpass server and query, so changing them doesn't
+  // return tiles loaded from another server or with other features
+  cacheKey: function(x, y) {
+    let source = this.data.overpassUrl + this.overpassQuery();
+    let hash = 0;
+    for (let i = 0; i < source.length; i++) {
+      hash = (hash * 31 + source.charCodeAt(i)) | 0;
+    }
+    return `osm/${(hash >>> 0).toString(16)}/${this.data.zoom}/${x}/${y}`;
+  },
+
+  // Load the geojson features for the given [x, y] tiles, from the cache if possible, otherwise from the Overpass API
+  // Tiles that aren't cached yet are loaded at once, then each tile's features are stored separately in the cache
+  // Features are assigned to the tile of their first position, so a tile's entry can contain features reaching into others
+  loadTilesGeojson: async function(tiles) {
+    if (!this.cache) {
+      return this.osm2geojson(await this.loadOSMbuildingsBbox(this.tiles2bbox(tiles)));
+    }
+    let features = [];
+    let missing = new Map(); // maps x/y of each tile that isn't cached to its features
+    for (let [x, y] of tiles) {
+      let cached = await this.cache.get(this.cacheKey(x, y));
+      if (cached) {
+        features.push(...cached.features);
+      } else {
+        missing.set(`${x}/${y}`, []);
+      }
+    }
+    if (missing.size > 0) {
+      let missingTiles = Array.from(missing.keys()).map(xy => xy.split('/').map(Number));
+      let geojson = this.osm2geojson(await this.loadOSMbuildingsBbox(this.tiles2bbox(missingTiles)));
+      for (let feature of geojson.features) {
+        let [lon, lat] = this.firstCoordinate(feature.geometry);
+        let [x, y] = osmGeo.latlon2fractionalTileId(lat, lon, this.data.zoom).map(Math.floor);
+        if (missing.has(`${x}/${y}`)) {
+          missing.get(`${x}/${y}`).push(feature);
+        }
+        features.push(feature);
+      }
+      for (let [xy, tileFeatures] of missing) {
+        let collection = {type: 'FeatureCollection', features: tileFeatures};
+        let [x, y] = xy.split('/');
+        // not awaited, put copies the features before they're changed by buildGeometry and handles its errors
+        this.cache.put(this.cacheKey(x, y), collection, JSON.stringify(collection).length);
+      }
+    }
+    return {type: 'FeatureCollection', features: features};
+  },
+
+  // Load the buildings within the bounding box into the cache of the osm-cache system, without showing them
+  // Tiles are loaded in blocks, to keep the requests to the Overpass API small
+  prefetch: async function(south, west, north, east) {
+    if (!this.cache) {
+      return;
+    }
+    const BLOCK_SIZE = 4; // width and height in tiles of each request
+    let [startX, startY] = osmGeo.latlon2fractionalTileId(north, west, this.data.zoom).map(Math.floor);
+    let [endX, endY] = osmGeo.latlon2fractionalTileId(south, east, this.data.zoom).map(Math.floor);
+    for (let blockY = startY; blockY <= endY; blockY += BLOCK_SIZE) {
+      for (let blockX = startX; blockX <= endX; blockX += BLOCK_SIZE) {
+        let tiles = [];
+        for (let y = blockY; y < Math.min(blockY + BLOCK_SIZE, endY + 1); y++) {
+          for (let x = blockX; x < Math.min(blockX + BLOCK_SIZE, endX + 1); x++) {
+            tiles.push([x, y]);
+          }
+        }
+        await this.loadTilesGeojson(tiles);
+      }
     }
   }
-});
\ No newline at end of file
+}));
\ No newline at end of file
@@ -0,0 +1,169 @@
+// Aframe component to highlight the OSM building (or road, area) a raycaster points at and show its tags on click
+//
+// Features of layers added with addLayer of osm-geojson are highlighted as well, their panel shows their properties.
+//
+// Add it to an entity with a raycaster, e.g. a hand controller or the camera with a mouse cursor:
+// <a-entity laser-controls="hand: right" raycaster="objects: .collidable" osm-info></a-entity>
+// <a-entity camera cursor="rayOrigin: mouse" raycaster="objects: .collidable" osm-info></a-entity>
+// Entities added by osm-geojson have the class collidable, the raycaster needs to include them.
+//
+// highlightColor: colour of the feature the raycaster points at
+// distance_m: maximum distance of the info panel from the camera, it's placed between the camera and the feature
+// font: msdf font of the panel, the default has Latin-1 and Latin Extended-A letters for names and addresses,
+//   A-Frame's built-in fonts like 'roboto' only have ASCII characters
+//
+// Events, emitted on the entity and bubbling up to the scene:
+// * osm-hover: {id, tags} when the raycaster starts pointing at another feature, id and tags are null for none
+// * osm-select: {id, tags, url, layer} when a feature is clicked, e.g. with the controller's trigger
+//   url is the feature's page on openstreetmap.org, layer the name of its layer; the other one is null
+
+AFRAME.registerComponent('osm-info', {
+  schema: {
+    highlightColor: {type: 'color', default: '#ffcc33'},
+    distance_m: {type: 'number', default: 2},
+    font: {type: 'string', default: 'fonts/Roboto-LatinExt-msdf.json'}
+  },
+
+  init: function () {
+    this.PANEL_WIDTH_M = 1;
+    this.hovered = null; // {feature, mesh, color, parts} of the highlighted feature, parts with their original colours
+    this.selected = null; // feature shown in the panel
+    this.cameraPosition = new THREE.Vector3();
+    this.onClick = this.onClick.bind(this);
+    this.el.addEventListener('click', this.onClick);
+    this.onOriginShift = this.onOriginShift.bind(this);
+    this.el.sceneEl.addEventListener('osm-origin', this.onOriginShift);
+
+    // the panel is added to the scene, so it doesn't move with the controller
+    this.panel = document.createElement('a-entity');
+    // the text component fits the plane's height to the text, as it's set to 0
+    this.panel.setAttribute('geometry', {primitive: 'plane', width: this.PANEL_WIDTH_M, height: 0});
+    this.panel.setAttribute('material', {color: '#fff', opacity: 0.9, transparent: true});
+    // fonts made with msdf-bmfont-xml aren't negated like A-Frame's built-in ones
+    this.panel.setAttribute('text', {color: '#000', align: 'left', width: this.PANEL_WIDTH_M * 0.9, wrapCount: 32,
+      baseline: 'center', zOffset: 0.01, font: this.data.font, negate: false});
+    this.panel.setAttribute('visible', false);
+    this.el.sceneEl.appendChild(this.panel);
+  },
+
+  remove: function () {
+    this.el.removeEventListener('click', this.onClick);
+    this.el.sceneEl.removeEventListener('osm-origin', this.onOriginShift);
+    this.unhighlight();
+    this.panel.parentNode.removeChild(this.panel);
+  },
+
+  tick: function () {
+    let hit = this.hit();
+    let feature = hit ? hit.feature : null;
+    let current = this.hovered ? this.hovered.feature : null;
+    // walls and roof of a building are different parts of the same feature
+    let isSame = feature && current && feature.id === current.id && hit.intersection.object === this.hovered.mesh;
+    if (feature !== current && !isSame) {
+      this.unhighlight();
+      if (hit) {
+        this.highlight(hit.intersection.object, feature);
+      }
+      this.el.emit('osm-hover', {id: feature ? feature.id : null, tags: feature ? feature.tags : null});
+    }
+  },
+
+  // Find the nearest feature hit by the entity's raycaster
+  // Returns {feature, intersection} or null if the raycaster points at no feature
+  hit: function() {
+    let raycaster = this.el.components.raycaster;
+    let intersection = raycaster ? raycaster.intersections[0] : null;
+    if (!intersection || !intersection.object.el) {
+      return null;
+    }
+    // features are added as children of the osm-geojson entity
+    let layer = intersection.object.el.parentEl;
+    let component = layer && layer.components['osm-geojson'];
+    let feature = component ? component.featureAt(intersection) : null;
+    return feature ? {feature: feature, intersection: intersection} : null;
+  },
+
+  // Colour the vertices of a feature with the highlight colour, keeping the original colours to restore them
+  // With osm-style, walls and roofs are separate parts with the same id, which are all highlighted
+  // Layers have an alpha channel in their colours, which is kept
+  highlight: function(mesh, feature) {
+    let color = mesh.geometry.getAttribute('color');
+    let size = color.itemSize;
+    let parts = mesh.userData.features.filter(part => part.id === feature.id);
+    this.hovered = {feature: feature, mesh: mesh, color: color, parts: parts.map(part =>
+      ({start: part.start, colors: color.array.slice(part.start * size, (part.start + part.count) * size)}))};
+    let highlight = new THREE.Color(this.data.highlightColor);
+    for (let part of parts) {
+      for (let i = part.start; i < part.start + part.count; i++) {
+        color.setXYZ(i, highlight.r, highlight.g, highlight.b);
+      }
+    }
+    color.needsUpdate = true;
+  },
+
+  // Restore the original colours of the highlighted feature
+  unhighlight: function() {
+    if (this.hovered) {
+      for (let part of this.hovered.parts) {
+        this.hovered.color.array.set(part.colors, part.start * this.hovered.color.itemSize);
+      }
+      this.hovered.color.needsUpdate = true;
+      this.hovered = null;
+    }
+  },
+
+  // Show the panel for the clicked feature, or hide it when the shown feature is clicked again
+  // Clicks on nothing are only emitted by some cursors, so they can't be used to hide the panel
+  onClick: function() {
+    let hit = this.hit();
+    if (!hit || (this.selected && hit.feature.id === this.selected.id)) {
+      this.panel.setAttribute('visible', false);
+      this.selected = null;
+      return;
+    }
+    let feature = hit.feature;
+    this.selected = feature;
+    let layer = feature.layer || null;
+    let url = layer ? null : `https://www.openstreetmap.org/${feature.id}`;
+    this.panel.setAttribute('text', 'value', this.tags2text(feature.tags, url));
+    this.placePanel(hit.intersection.point);
+    this.panel.setAttribute('visible', true);
+    this.el.emit('osm-select', {id: feature.id, tags: feature.tags, url: url, layer: layer});
+  },
+
+  // Keep the panel next to its feature when the osm-origin system moves the world
+  onOriginShift: function(event) {
+    this.panel.object3D.position.sub(event.detail.shift);
+  },
+
+  // Put the panel between the camera and the given point, at most distance_m from the camera and facing it
+  placePanel: function(point) {
+    this.el.sceneEl.camera.getWorldPosition(this.cameraPosition);
+    let offset = point.clone().sub(this.cameraPosition);
+    let distance = Math.min(offset.length() * 0.9, this.data.distance_m);
+    let position = this.cameraPosition.clone().addScaledVector(offset.normalize(), distance);
+    this.panel.object3D.position.copy(position);
+    this.panel.object3D.lookAt(this.cameraPosition);
+  },
+
+  // Describe a feature with its name, address, height and levels, and the url of its OSM page if given
+  tags2text: function(tags, url) {
+    let lines = [tags.name || tags.building || tags.highway || tags.railway || tags.landuse || 'Unnamed'];
+    let street = [tags['addr:street'], tags['addr:housenumber']].filter(Boolean).join(' ');
+    let city = [tags['addr:postcode'], tags['addr:city']].filter(Boolean).join(' ');
+    let address = [street, city].filter(Boolean).join(', ');
+    if (address) {
+      lines.push(address);
+    }
+    if (tags.height) {
+      lines.push(`Height: ${tags.height}${isNaN(tags.height) ? '' : ' m'}`);
+    }
+    if (tags['building:levels']) {
+      lines.push(`Levels: ${tags['building:levels']}`);
+    }
+    if (url) {
+      lines.push('', url.replace('https://www.', ''));
+    }
+    return lines.join('\n');
+  }
+});
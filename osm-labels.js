@@ -0,0 +1,259 @@
+// Aframe component to show names of streets, squares, places and notable buildings from OpenStreetMap as 3d labels
+//
+// Include it after osm-tile-loader.js, whose tile loading it shares with osm-geojson, and add it like osm-geojson:
+// <a-entity osm-labels="lat: 52.52; lon: 13.41; radius_m: 1000; unloadRadius_m: 2500; trackId: head"></a-entity>
+//
+// lat, lon: start position of the map at Aframe's origin (0,0)
+// radius_m: radius in meters around the start position or trackId to load labels from the Overpass API
+// zoom: zoom level of the tiles loaded at once, see osm-geojson
+// trackId: optional id of a scene element for dynamic loading, and the camera's position for the labels' layout
+// unloadRadius_m: distance in meters around trackId beyond which loaded labels are removed again, 0 keeps them
+// maxLabels: maximum number of labels shown at once
+// overpassUrl: url of the Overpass API interpreter
+// maxRequests, retries: like osm-geojson
+// font: msdf font of the labels, the default has Latin-1 and Latin Extended-A letters, see osm-info
+//
+// Street names lie on the street along its direction, turned so they can be read from the camera's side.
+// Names of places (city, suburb, neighbourhood, ...), squares and notable buildings (those with a wikidata tag) float
+// above them and face the camera. Labels grow with their distance, so they stay readable from far away.
+// Labels that would overlap on the screen are hidden, the more important ones first: the higher the camera,
+// the fewer small streets and places are shown, and the more large ones.
+// With osm-terrain, labels are placed on the terrain like osm-geojson's buildings.
+
+AFRAME.registerComponent('osm-labels', Object.assign({}, osmTileLoader, {
+  schema: {
+    lat: {type: 'number'},
+    lon: {type: 'number'},
+    radius_m: {type: 'number', default: 1000},
+    zoom: {type: 'number', default: 15},
+    trackId: {type: 'string'},
+    unloadRadius_m: {type: 'number', default: 0},
+    maxLabels: {type: 'number', default: 60},
+    overpassUrl: {type: 'string', default: 'https://overpass-api.de/api/interpreter'},
+    maxRequests: {type: 'number', default: 1},
+    retries: {type: 'number', default: 3},
+    font: {type: 'string', default: 'fonts/Roboto-LatinExt-msdf.json'}
+  },
+
+  init: function () {
+    this.initTiles();
+    this.OVERPASS_QUERY = `[out:json][timeout:30];(
+        way["highway"]["name"]({{bbox}});
+        way["place"="square"]["name"]({{bbox}});
+        node["place"]["name"]({{bbox}});
+        way["building"]["name"]["wikidata"]({{bbox}});
+        );out geom;
+        `;
+    // kinds of labels: character width and height above the ground in meters, the highest camera altitude they're
+    // shown at and their priority when labels overlap (lower first)
+    this.LABEL_KINDS = {
+      'city': {size_m: 40, height_m: 300, maxAltitude_m: Infinity, priority: 0, color: '#222'},
+      'town': {size_m: 30, height_m: 200, maxAltitude_m: Infinity, priority: 1, color: '#222'},
+      'suburb': {size_m: 20, height_m: 120, maxAltitude_m: 20000, priority: 2, color: '#333'},
+      'quarter': {size_m: 12, height_m: 80, maxAltitude_m: 5000, priority: 3, color: '#333'},
+      'neighbourhood': {size_m: 8, height_m: 50, maxAltitude_m: 2000, priority: 4, color: '#444'},
+      'major': {size_m: 6, height_m: 1, maxAltitude_m: 2000, priority: 5, color: '#222'},
+      'building': {size_m: 3, height_m: 5, maxAltitude_m: 800, priority: 6, color: '#533'},
+      'square': {size_m: 3, height_m: 8, maxAltitude_m: 500, priority: 7, color: '#444'},
+      'minor': {size_m: 3, height_m: 1, maxAltitude_m: 500, priority: 8, color: '#333'},
+      'path': {size_m: 1.5, height_m: 1, maxAltitude_m: 150, priority: 9, color: '#555'}
+    };
+    this.PLACE_KINDS = {
+      'city': 'city', 'town': 'town', 'suburb': 'suburb', 'borough': 'suburb', 'quarter': 'quarter',
+      'village': 'quarter', 'neighbourhood': 'neighbourhood', 'hamlet': 'neighbourhood', 'locality': 'neighbourhood',
+      'square': 'square'
+    };
+    this.MAJOR_HIGHWAYS = ['motorway', 'trunk', 'primary', 'secondary'];
+    this.MINOR_HIGHWAYS = ['tertiary', 'residential', 'unclassified', 'living_street', 'pedestrian', 'road'];
+    this.LEVEL_HEIGHT_M = 3; // to estimate the height of buildings from their levels
+    this.DEFAULT_BUILDING_HEIGHT_M = 10;
+    this.DUPLICATE_DISTANCE_M = 300; // streets are split into several ways, only one label per name is kept nearby
+    this.MIN_CHARACTER_ANGLE = 0.01; // labels grow with their distance, so a character covers at least this angle
+    this.LAYOUT_INTERVAL_MS = 200; // how often the visible labels are chosen
+
+    this.labelsLoaded = {}; // maps the OSM id of each label to its tile batch, as ways can reach into several tiles
+    // {name, kind, flat, angle, width_m, entity, batch} of each label, flat labels lie on streets in direction angle
+    this.labels = [];
+    this.labelPosition = new THREE.Vector3();
+  },
+
+  remove: function () {
+    for (let batch of this.batches) {
+      if (batch.entity) {
+        batch.entity.parentNode.removeChild(batch.entity);
+      }
+    }
+  },
+
+  // Get the Overpass query with {{bbox}} placeholder, used by loadOSMbuildingsBbox
+  overpassQuery: function() {
+    return this.OVERPASS_QUERY;
+  },
+
+  // Remove the labels of a tile batch and forget them, called by unloadBatch
+  forgetBatch: function(batch) {
+    for (let id of Object.keys(this.labelsLoaded)) {
+      if (this.labelsLoaded[id] === batch) {
+        delete this.labelsLoaded[id];
+      }
+    }
+    this.labels = this.labels.filter(label => label.batch !== batch);
+  },
+
+  // Create the labels for the elements of an Overpass response with geometry, skipping those loaded before
+  // Returns the entity containing the new labels
+  addElements: function(elements, batch) {
+    let entity = document.createElement('a-entity');
+    // long ways first, so they get the label if a street is split into several ways
+    let labels = elements.map(element => this.element2label(element)).filter(label => label);
+    labels.sort((a, b) => b.length_m - a.length_m);
+    for (let label of labels) {
+      label.batch = batch;
+      if (this.labelsLoaded[label.id] || this.isDuplicate(label)) {
+        continue;
+      }
+      this.labelsLoaded[label.id] = batch;
+      let kind = this.LABEL_KINDS[label.kind];
+      label.width_m = label.name.length * kind.size_m;
+      label.entity = document.createElement('a-entity');
+      label.entity.setAttribute('text', {value: label.name, align: 'center', baseline: 'center', color: kind.color,
+        width: (label.name.length + 1) * kind.size_m, wrapCount: label.name.length + 1, side: 'double',
+        font: this.data.font, negate: false});
+      label.entity.object3D.position.copy(label.position);
+      label.entity.object3D.visible = false; // until layout shows it
+      entity.appendChild(label.entity);
+      this.labels.push(label);
+    }
+    this.el.appendChild(entity);
+    this.lastLayout = 0;
+    return entity;
+  },
+
+  // Check if a street label has the same name as another one close to it
+  // Labels of earlier batches may have been moved by rebase, those of the same batch are still at their position
+  isDuplicate: function(label) {
+    return label.flat && this.labels.some(other => other.name == label.name
+      && (other.batch === label.batch ? other.position : other.entity.object3D.getWorldPosition(this.labelPosition))
+        .distanceTo(label.position) < this.DUPLICATE_DISTANCE_M);
+  },
+
+  // Convert an Overpass element with tags and geometry into {id, name, kind, position, flat, angle, length_m}
+  // Streets are flat in the middle of their way, in its direction as angle around y; returns null for others
+  element2label: function(element) {
+    let tags = element.tags || {};
+    let kind = null;
+    if (tags.place in this.PLACE_KINDS) {
+      kind = this.PLACE_KINDS[tags.place];
+    } else if ('building' in tags) {
+      kind = 'building';
+    } else if (tags.highway == 'pedestrian' && tags.area == 'yes') {
+      kind = 'square';
+    } else if ('highway' in tags) {
+      kind = this.MAJOR_HIGHWAYS.includes(tags.highway) ? 'major'
+        : this.MINOR_HIGHWAYS.includes(tags.highway) ? 'minor' : 'path';
+    }
+    if (!kind || !tags.name) {
+      return null;
+    }
+    let label = {id: `${element.type}/${element.id}`, name: tags.name, kind: kind, flat: false, angle: 0, length_m: 0};
+    let points = element.type == 'node' ? [[element.lon, element.lat]]
+      : (element.geometry || []).filter(point => point).map(point => [point.lon, point.lat]);
+    if (points.length == 0) {
+      return null;
+    }
+    let plane = points.map(([lon, lat]) => osmGeo.latlon2plane_m(lat, lon, this.origin.lat, this.origin.lon));
+    let [x, z] = plane[0];
+    let height = this.LABEL_KINDS[kind].height_m;
+    if (element.type == 'way' && (kind == 'major' || kind == 'minor' || kind == 'path')) {
+      // the point halfway along the street, and the direction of the street there
+      let lengths = plane.slice(1).map((point, i) => Math.hypot(point[0] - plane[i][0], point[1] - plane[i][1]));
+      label.length_m = lengths.reduce((sum, length) => sum + length, 0);
+      let remaining = label.length_m / 2;
+      for (let i = 0; i < lengths.length; i++) {
+        if (remaining <= lengths[i] || i == lengths.length - 1) {
+          let t = lengths[i] > 0 ? Math.min(1, remaining / lengths[i]) : 0;
+          let [x1, z1] = plane[i];
+          let [x2, z2] = plane[i + 1];
+          x = x1 + (x2 - x1) * t;
+          z = z1 + (z2 - z1) * t;
+          label.angle = Math.atan2(-(z2 - z1), x2 - x1);
+          break;
+        }
+        remaining -= lengths[i];
+      }
+      label.flat = true;
+    } else if (element.type == 'way') {
+      // the center of squares and buildings, above their roof
+      let xs = plane.map(point => point[0]);
+      let zs = plane.map(point => point[1]);
+      x = (Math.min(...xs) + Math.max(...xs)) / 2;
+      z = (Math.min(...zs) + Math.max(...zs)) / 2;
+      if (kind == 'building') {
+        height += parseFloat(tags.height) || parseInt(tags['building:levels']) * this.LEVEL_HEIGHT_M
+          || this.DEFAULT_BUILDING_HEIGHT_M;
+      }
+    }
+    label.position = new THREE.Vector3(x, height + this.terrainHeight([this.plane2coords(x, -z)]), z);
+    return label;
+  },
+
+  // Choose the labels to show for the camera: those for its altitude, the more important ones first, without overlaps
+  // Overlaps are checked with the labels' rectangles on the screen, estimated from their size and distance
+  layout: function(camera) {
+    let altitude = this.cameraPosition.y;
+    let tanHalfFov = Math.tan(THREE.MathUtils.degToRad(camera.fov || 80) / 2);
+    let aspect = camera.aspect || 1;
+    let candidates = [];
+    for (let label of this.labels) {
+      let kind = this.LABEL_KINDS[label.kind];
+      label.entity.object3D.visible = false;
+      if (altitude > kind.maxAltitude_m) {
+        continue;
+      }
+      label.entity.object3D.getWorldPosition(this.labelPosition);
+      let distance = this.labelPosition.distanceTo(this.cameraPosition);
+      let projected = this.labelPosition.clone().project(camera);
+      if (projected.z > 1 || Math.abs(projected.x) > 1.2 || Math.abs(projected.y) > 1.2) {
+        continue; // behind the camera or off the screen
+      }
+      let scale = Math.max(1, distance * this.MIN_CHARACTER_ANGLE / kind.size_m);
+      label.entity.object3D.scale.setScalar(scale);
+      let halfHeight = kind.size_m * scale / (distance * tanHalfFov);
+      let halfWidth = label.width_m * scale / 2 / (distance * tanHalfFov * aspect);
+      candidates.push({label: label, distance: distance, priority: kind.priority,
+        box: new THREE.Box2().setFromCenterAndSize(new THREE.Vector2(projected.x, projected.y),
+          new THREE.Vector2(2 * halfWidth, 2 * halfHeight))});
+    }
+    candidates.sort((a, b) => a.priority - b.priority || a.distance - b.distance);
+    let shown = [];
+    for (let candidate of candidates) {
+      if (shown.length >= this.data.maxLabels) {
+        break;
+      }
+      if (!shown.some(other => other.box.intersectsBox(candidate.box))) {
+        candidate.label.entity.object3D.visible = true;
+        shown.push(candidate);
+      }
+    }
+  },
+
+  // Turn the shown labels towards the camera: place names face it, street names are flipped to be read from its side
+  faceCamera: function() {
+    for (let label of this.labels) {
+      let object = label.entity.object3D;
+      if (!object.visible) {
+        continue;
+      }
+      object.getWorldPosition(this.labelPosition);
+      let dx = this.cameraPosition.x - this.labelPosition.x;
+      let dz = this.cameraPosition.z - this.labelPosition.z;
+      if (label.flat) {
+        // the text's top points along (-sin, -cos) of its angle, the camera should be at its bottom
+        let upsideDown = -Math.sin(label.angle) * dx - Math.cos(label.angle) * dz > 0;
+        object.rotation.set(-Math.PI / 2, label.angle + (upsideDown ? Math.PI : 0), 0, 'YXZ');
+      } else {
+        object.rotation.set(0, Math.atan2(dx, dz), 0);
+      }
+    }
+  }
+}));
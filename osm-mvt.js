@@ -0,0 +1,481 @@
+// Mapbox Vector Tiles (MVT) decoder and renderers used by osm-tiles for vector tiles, see its vectorUrl
+//
+// Include it before osm-tiles.js. The functions are available as global osmMvt, they don't access the scene:
+// * decode(arrayBuffer) reads a tile, see https://github.com/mapbox/vector-tile-spec/tree/master/2.1
+// * drawCanvas(canvas, layers, style, zoom, area, metersPerPixel) draws the features onto a canvas
+// * buildGeometry(layers, style, zoom, area, size_m) creates a flat BufferGeometry with vertex colours
+//
+// Decoded tiles map layer names to arrays of features {id, type, properties, geometry} with type point, line or
+// polygon. Coordinates are [x, y] fractions of the tile, 0 to 1 from the north west corner, features may reach
+// a little beyond. Geometry is an array of points, an array of lines or an array of polygons, each polygon is an
+// array of rings with the outer ring first.
+//
+// A style is an object {background, layers} like:
+// {"background": "#f2efe9", "layers": [
+//   {"layer": "water", "type": "fill", "color": "#aad3df"},
+//   {"layer": "transportation", "filter": {"class": ["primary", "secondary"]}, "type": "line", "color": "#fcd6a4",
+//    "width_m": 10, "minZoom": 12}
+// ]}
+// Style layers are drawn in their order, each with the features of the tile layer named by layer whose properties
+// match all values of filter (one of them if it's an array). type fill draws polygons, line draws lines and the
+// outlines of polygons with width_m meters, but at least 1 pixel. minZoom and maxZoom limit the zoom levels of the
+// shown tiles. DEFAULT_STYLE is for the OpenMapTiles schema, used by many vector tile services.
+
+const osmMvt = {
+  DEFAULT_STYLE: {
+    background: '#f2efe9',
+    layers: [
+      {layer: 'landcover', filter: {class: 'wood'}, type: 'fill', color: '#add19e'},
+      {layer: 'landcover', filter: {class: ['grass', 'farmland']}, type: 'fill', color: '#cdebb0'},
+      {layer: 'landcover', filter: {class: ['sand', 'rock']}, type: 'fill', color: '#eee5dc'},
+      {layer: 'landcover', filter: {class: 'wetland'}, type: 'fill', color: '#d6d99f'},
+      {layer: 'landuse', filter: {class: 'residential'}, type: 'fill', color: '#e0dfdf'},
+      {layer: 'landuse', filter: {class: ['commercial', 'retail']}, type: 'fill', color: '#f2dad9'},
+      {layer: 'landuse', filter: {class: ['industrial', 'railway']}, type: 'fill', color: '#ebdbe8'},
+      {layer: 'landuse', filter: {class: ['cemetery', 'pitch', 'stadium']}, type: 'fill', color: '#aae0cb'},
+      {layer: 'park', type: 'fill', color: '#c8facc'},
+      {layer: 'water', type: 'fill', color: '#aad3df'},
+      {layer: 'waterway', type: 'line', color: '#aad3df', width_m: 5},
+      {layer: 'aeroway', filter: {class: ['runway', 'taxiway']}, type: 'line', color: '#bbbbcc', width_m: 30},
+      {layer: 'building', type: 'fill', color: '#d9d0c9', minZoom: 14},
+      {layer: 'transportation', filter: {class: ['path', 'track']}, type: 'line', color: '#c9b69b', width_m: 2,
+        minZoom: 14},
+      {layer: 'transportation', filter: {class: ['minor', 'service']}, type: 'line', color: '#ffffff', width_m: 6,
+        minZoom: 13},
+      {layer: 'transportation', filter: {class: ['rail', 'transit']}, type: 'line', color: '#999999', width_m: 3},
+      {layer: 'transportation', filter: {class: ['secondary', 'tertiary']}, type: 'line', color: '#f7fabf',
+        width_m: 9},
+      {layer: 'transportation', filter: {class: 'primary'}, type: 'line', color: '#fcd6a4', width_m: 10},
+      {layer: 'transportation', filter: {class: 'trunk'}, type: 'line', color: '#f9b29c', width_m: 12},
+      {layer: 'transportation', filter: {class: 'motorway'}, type: 'line', color: '#e892a2', width_m: 14}
+    ]
+  },
+
+  // Decode a vector tile from an ArrayBuffer, returns an object mapping layer names to arrays of features
+  decode: function(buffer) {
+    let pbf = {bytes: new Uint8Array(buffer), view: new DataView(buffer), pos: 0};
+    let layers = {};
+    this.readFields(pbf, pbf.bytes.length, (field, type) => {
+      if (field == 3) { // layer
+        let end = this.readVarint(pbf) + pbf.pos;
+        let layer = this.readLayer(pbf, end);
+        layers[layer.name] = (layers[layer.name] || []).concat(layer.features);
+      } else {
+        this.skip(pbf, type);
+      }
+    });
+    return layers;
+  },
+
+  // Read a layer message up to end, returns {name, features}
+  readLayer: function(pbf, end) {
+    let layer = {name: '', extent: 4096, keys: [], values: [], rawFeatures: []};
+    this.readFields(pbf, end, (field, type) => {
+      if (field == 1) {
+        layer.name = this.readString(pbf);
+      } else if (field == 2) {
+        // features refer to keys and values, which may come after them
+        let length = this.readVarint(pbf);
+        layer.rawFeatures.push([pbf.pos, pbf.pos + length]);
+        pbf.pos += length;
+      } else if (field == 3) {
+        layer.keys.push(this.readString(pbf));
+      } else if (field == 4) {
+        layer.values.push(this.readValue(pbf, this.readVarint(pbf) + pbf.pos));
+      } else if (field == 5) {
+        layer.extent = this.readVarint(pbf);
+      } else {
+        this.skip(pbf, type);
+      }
+    });
+    let features = layer.rawFeatures.map(([start, featureEnd]) => {
+      pbf.pos = start;
+      return this.readFeature(pbf, featureEnd, layer);
+    }).filter(feature => feature);
+    pbf.pos = end;
+    return {name: layer.name, features: features};
+  },
+
+  // Read a feature message up to end with the keys, values and extent of its layer
+  // Returns {id, type, properties, geometry}, or null for unknown geometry types
+  readFeature: function(pbf, end, layer) {
+    const TYPES = {1: 'point', 2: 'line', 3: 'polygon'};
+    let feature = {id: null, type: null, properties: {}, geometry: []};
+    let commands = [];
+    this.readFields(pbf, end, (field, type) => {
+      if (field == 1) {
+        feature.id = this.readVarint(pbf);
+      } else if (field == 2) {
+        let tags = this.readPacked(pbf);
+        for (let i = 0; i + 1 < tags.length; i += 2) {
+          feature.properties[layer.keys[tags[i]]] = layer.values[tags[i + 1]];
+        }
+      } else if (field == 3) {
+        feature.type = TYPES[this.readVarint(pbf)] || null;
+      } else if (field == 4) {
+        commands = this.readPacked(pbf);
+      } else {
+        this.skip(pbf, type);
+      }
+    });
+    if (!feature.type) {
+      return null;
+    }
+    let lines = this.readGeometry(commands, layer.extent);
+    if (feature.type == 'point') {
+      feature.geometry = lines.flat();
+    } else if (feature.type == 'line') {
+      feature.geometry = lines;
+    } else {
+      // outer rings have a positive area in tile coordinates, i.e. they're clockwise with y pointing down,
+      // each starts a new polygon and the holes follow it
+      for (let ring of lines) {
+        let area = this.ringArea(ring);
+        if (area > 0 || feature.geometry.length == 0) {
+          feature.geometry.push([ring]);
+        } else if (area < 0) {
+          feature.geometry[feature.geometry.length - 1].push(ring);
+        }
+      }
+    }
+    return feature;
+  },
+
+  // Convert geometry commands into lines (or rings) of [x, y] tile fractions
+  readGeometry: function(commands, extent) {
+    let lines = [];
+    let line = null;
+    let x = 0;
+    let y = 0;
+    for (let i = 0; i < commands.length; ) {
+      let command = commands[i] & 0x7;
+      let count = commands[i] >> 3;
+      i++;
+      if (command == 7) { // ClosePath
+        if (line && line.length) {
+          line.push(line[0].slice());
+        }
+        continue;
+      }
+      for (let j = 0; j < count && i + 1 < commands.length; j++) {
+        x += this.zigzag(commands[i++]);
+        y += this.zigzag(commands[i++]);
+        if (command == 1) { // MoveTo starts a new line
+          line = [];
+          lines.push(line);
+        }
+        line.push([x / extent, y / extent]);
+      }
+    }
+    return lines;
+  },
+
+  // Compute the signed area of a ring, positive for clockwise rings with y pointing down
+  ringArea: function(ring) {
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      area += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+    }
+    return area / 2;
+  },
+
+  // Call callback(field, wireType) for each field of a message up to end, it has to read or skip the value
+  readFields: function(pbf, end, callback) {
+    while (pbf.pos < end) {
+      let key = this.readVarint(pbf);
+      callback(Math.floor(key / 8), key & 0x7);
+    }
+    pbf.pos = end;
+  },
+
+  // Read an unsigned variable length integer, up to 2^53 without loss of precision
+  readVarint: function(pbf) {
+    let value = 0;
+    for (let shift = 1; ; shift *= 128) {
+      let byte = pbf.bytes[pbf.pos++];
+      value += (byte & 0x7f) * shift;
+      if (byte < 0x80 || pbf.pos >= pbf.bytes.length) {
+        return value;
+      }
+    }
+  },
+
+  // Read a signed 64 bit integer, negative values use all 64 bits, which are more than a number holds exactly
+  readInt64: function(pbf) {
+    let value = 0n;
+    for (let shift = 0n; ; shift += 7n) {
+      let byte = pbf.bytes[pbf.pos++];
+      value |= BigInt(byte & 0x7f) << shift;
+      if (byte < 0x80 || pbf.pos >= pbf.bytes.length) {
+        return Number(BigInt.asIntN(64, value));
+      }
+    }
+  },
+
+  // Decode a zigzag encoded signed integer
+  zigzag: function(value) {
+    return value % 2 ? -(value + 1) / 2 : value / 2;
+  },
+
+  // Read a length delimited UTF-8 string
+  readString: function(pbf) {
+    let end = this.readVarint(pbf) + pbf.pos;
+    let text = new TextDecoder().decode(pbf.bytes.subarray(pbf.pos, end));
+    pbf.pos = end;
+    return text;
+  },
+
+  // Read a length delimited array of packed varints
+  readPacked: function(pbf) {
+    let end = this.readVarint(pbf) + pbf.pos;
+    let values = [];
+    while (pbf.pos < end) {
+      values.push(this.readVarint(pbf));
+    }
+    return values;
+  },
+
+  // Read a value message up to end, as string, number or boolean
+  readValue: function(pbf, end) {
+    let value = null;
+    this.readFields(pbf, end, (field, type) => {
+      if (field == 1) {
+        value = this.readString(pbf);
+      } else if (field == 2) {
+        value = pbf.view.getFloat32(pbf.pos, true);
+        pbf.pos += 4;
+      } else if (field == 3) {
+        value = pbf.view.getFloat64(pbf.pos, true);
+        pbf.pos += 8;
+      } else if (field == 4) {
+        value = this.readInt64(pbf);
+      } else if (field == 5) {
+        value = this.readVarint(pbf);
+      } else if (field == 6) {
+        value = this.zigzag(this.readVarint(pbf));
+      } else if (field == 7) {
+        value = this.readVarint(pbf) != 0;
+      } else {
+        this.skip(pbf, type);
+      }
+    });
+    return value;
+  },
+
+  // Skip a field's value of the given wire type
+  skip: function(pbf, type) {
+    if (type == 0) {
+      this.readVarint(pbf);
+    } else if (type == 1) {
+      pbf.pos += 8;
+    } else if (type == 2) {
+      pbf.pos += this.readVarint(pbf);
+    } else if (type == 5) {
+      pbf.pos += 4;
+    } else {
+      throw new Error(`osmMvt: unsupported wire type ${type}`);
+    }
+  },
+
+  // Get the features of a style layer from the decoded tile, if the zoom level is within its range
+  styleFeatures: function(layers, styleLayer, zoom) {
+    if (zoom < (styleLayer.minZoom || 0) || zoom > (styleLayer.maxZoom ?? Infinity)) {
+      return [];
+    }
+    let filter = Object.entries(styleLayer.filter || {});
+    return (layers[styleLayer.layer] || []).filter(feature => filter.every(([key, values]) =>
+      Array.isArray(values) ? values.includes(feature.properties[key]) : feature.properties[key] == values));
+  },
+
+  // Get the lines to draw for a line style: the lines of line features and the rings of polygons
+  featureLines: function(feature) {
+    return feature.type == 'polygon' ? feature.geometry.flat() : feature.type == 'line' ? feature.geometry : [];
+  },
+
+  // Draw the features of a decoded tile onto a canvas with a style
+  // area [x, y, size] is the part of the tile shown on the canvas as tile fractions, e.g. [0.5, 0, 0.5] for
+  // the north east quarter when the tile is shown at a higher zoom level than it's available
+  // metersPerPixel converts the line widths
+  drawCanvas: function(canvas, layers, style, zoom, area, metersPerPixel) {
+    let context = canvas.getContext('2d');
+    let scale = canvas.width / area[2];
+    context.fillStyle = style.background || '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.lineJoin = 'round';
+    context.lineCap = 'round';
+    let tracePath = (ring) => {
+      ring.forEach(([x, y], i) => {
+        let method = i == 0 ? 'moveTo' : 'lineTo';
+        context[method]((x - area[0]) * scale, (y - area[1]) * scale);
+      });
+    };
+    for (let styleLayer of style.layers || []) {
+      let features = this.styleFeatures(layers, styleLayer, zoom);
+      context.beginPath();
+      for (let feature of features) {
+        if (styleLayer.type == 'fill' && feature.type == 'polygon') {
+          feature.geometry.flat().forEach(tracePath);
+        } else if (styleLayer.type == 'line') {
+          this.featureLines(feature).forEach(tracePath);
+        }
+      }
+      if (styleLayer.type == 'fill') {
+        context.fillStyle = styleLayer.color;
+        // nonzero, as holes wind the other way than their outer ring, while overlapping features don't cut each other
+        context.fill();
+      } else if (styleLayer.type == 'line') {
+        context.strokeStyle = styleLayer.color;
+        context.lineWidth = Math.max(1, (styleLayer.width_m || 1) / metersPerPixel);
+        context.stroke();
+      }
+    }
+  },
+
+  // Create the geometry of the features of a decoded tile with a style, for a tile of size_m meters
+  // It's centered on the tile with x pointing east and y north, like the tile's plane; each style layer lies
+  // layerOffset_m above the previous one, so they don't flicker
+  // area is the part of the tile to show, like for drawCanvas, features are clipped to it
+  // Returns null if there's nothing to show
+  buildGeometry: function(layers, style, zoom, area, size_m, layerOffset_m = 0.05) {
+    let positions = [];
+    let colors = [];
+    let normals = [];
+    let color = new THREE.Color();
+    let toPlane = ([x, y]) => [((x - area[0]) / area[2] - 0.5) * size_m, (0.5 - (y - area[1]) / area[2]) * size_m];
+    let addTriangles = (points, triangles, z) => {
+      for (let triangle of triangles) {
+        for (let i of triangle) {
+          positions.push(points[i][0], points[i][1], z);
+          colors.push(color.r, color.g, color.b);
+          normals.push(0, 0, 1);
+        }
+      }
+    };
+    (style.layers || []).forEach((styleLayer, index) => {
+      let z = (index + 1) * layerOffset_m;
+      color.set(styleLayer.color);
+      for (let feature of this.styleFeatures(layers, styleLayer, zoom)) {
+        if (styleLayer.type == 'fill' && feature.type == 'polygon') {
+          for (let polygon of feature.geometry) {
+            let [outer, ...holes] = polygon.map(ring => this.clipRing(ring, area)
+              .map(point => new THREE.Vector2(...toPlane(point))));
+            if (outer.length < 3) {
+              continue;
+            }
+            holes = holes.filter(hole => hole.length >= 3);
+            let triangles = THREE.ShapeUtils.triangulateShape(outer, holes);
+            addTriangles([outer, ...holes].flat().map(point => [point.x, point.y]), triangles, z);
+          }
+        } else if (styleLayer.type == 'line') {
+          let half = (styleLayer.width_m || 1) / 2;
+          for (let line of this.featureLines(feature)) {
+            for (let part of this.clipLine(line, area)) {
+              let points = part.map(toPlane);
+              for (let i = 0; i + 1 < points.length; i++) {
+                // a quad along each segment, the round joins are left out
+                let [x1, y1] = points[i];
+                let [x2, y2] = points[i + 1];
+                let length = Math.hypot(x2 - x1, y2 - y1);
+                if (length == 0) {
+                  continue;
+                }
+                let nx = -(y2 - y1) / length * half;
+                let ny = (x2 - x1) / length * half;
+                addTriangles([[x1 + nx, y1 + ny], [x1 - nx, y1 - ny], [x2 - nx, y2 - ny], [x2 + nx, y2 + ny]],
+                  [[0, 1, 2], [0, 2, 3]], z);
+              }
+            }
+          }
+        }
+      }
+    });
+    if (positions.length == 0) {
+      return null;
+    }
+    let geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    // triangles may face either way, the normals all point up
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    return geometry;
+  },
+
+  // Clip a ring to the square area [x, y, size], with the Sutherland-Hodgman algorithm
+  // Returns the clipped ring, without the closing point
+  clipRing: function(ring, area) {
+    let [x0, y0, size] = area;
+    let edges = [
+      [p => p[0] >= x0, (a, b) => this.intersect(a, b, 0, x0)],
+      [p => p[0] <= x0 + size, (a, b) => this.intersect(a, b, 0, x0 + size)],
+      [p => p[1] >= y0, (a, b) => this.intersect(a, b, 1, y0)],
+      [p => p[1] <= y0 + size, (a, b) => this.intersect(a, b, 1, y0 + size)]
+    ];
+    let points = ring.length > 1 && ring[0][0] == ring[ring.length - 1][0] && ring[0][1] == ring[ring.length - 1][1]
+      ? ring.slice(0, -1) : ring;
+    for (let [isInside, intersect] of edges) {
+      let clipped = [];
+      for (let i = 0; i < points.length; i++) {
+        let current = points[i];
+        let previous = points[(i + points.length - 1) % points.length];
+        if (isInside(current)) {
+          if (!isInside(previous)) {
+            clipped.push(intersect(previous, current));
+          }
+          clipped.push(current);
+        } else if (isInside(previous)) {
+          clipped.push(intersect(previous, current));
+        }
+      }
+      points = clipped;
+    }
+    return points;
+  },
+
+  // Clip a line to the square area [x, y, size], returns the parts of the line inside it
+  clipLine: function(line, area) {
+    let [x0, y0, size] = area;
+    let parts = [];
+    let part = null;
+    for (let i = 0; i + 1 < line.length; i++) {
+      // Liang-Barsky: the segment a + t (b - a) is inside for t between t0 and t1
+      let [a, b] = [line[i], line[i + 1]];
+      let dx = b[0] - a[0];
+      let dy = b[1] - a[1];
+      let t0 = 0;
+      let t1 = 1;
+      for (let [p, q] of [[-dx, a[0] - x0], [dx, x0 + size - a[0]], [-dy, a[1] - y0], [dy, y0 + size - a[1]]]) {
+        if (p == 0) {
+          if (q < 0) {
+            t0 = 1;
+            t1 = 0;
+          }
+        } else if (p < 0) {
+          t0 = Math.max(t0, q / p);
+        } else {
+          t1 = Math.min(t1, q / p);
+        }
+      }
+      if (t0 > t1) {
+        part = null;
+        continue;
+      }
+      let start = [a[0] + t0 * dx, a[1] + t0 * dy];
+      let end = [a[0] + t1 * dx, a[1] + t1 * dy];
+      if (!part || t0 > 0) {
+        part = [start];
+        parts.push(part);
+      }
+      part.push(end);
+      if (t1 < 1) {
+        part = null;
+      }
+    }
+    return parts;
+  },
+
+  // Get the point where the segment from a to b crosses the line where coordinate axis (0 x, 1 y) is value
+  intersect: function(a, b, axis, value) {
+    let t = (value - a[axis]) / (b[axis] - a[axis]);
+    return [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])];
+  }
+};
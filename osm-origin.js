@@ -0,0 +1,61 @@
+// Aframe system to keep the user close to the scene's origin, as positions far away from it jitter
+// because of the limited float32 precision of the GPU
+//
+// Configure it on the scene:
+// <a-scene osm-origin="trackId: head; rigId: rig; threshold_m: 5000">
+//
+// enabled: set to false to keep the origin where it is
+// trackId: id of the element to keep close to the origin, usually the camera
+// rigId: id of the rig that is moved back, the tracked element itself is moved if there's no rig
+// threshold_m: horizontal distance in meters from the origin that triggers a shift
+//
+// When the tracked element is further away than threshold_m, everything is shifted horizontally so it's at the origin:
+// * the rig is moved back
+// * osm-tiles, osm-geojson, osm-labels and osm-pois components move their content and continue from the new origin
+//   (see their rebase)
+// * the origin of the osm-geo system is updated, so geo-anchor entities follow
+// * an osm-origin event with {shift, offset} is emitted on the scene, so other components can follow
+//   shift is the Vector3 in meters that was subtracted from all positions, offset the sum of all shifts so far
+
+AFRAME.registerSystem('osm-origin', {
+  schema: {
+    enabled: {type: 'boolean', default: true},
+    trackId: {type: 'string', default: 'head'},
+    rigId: {type: 'string', default: 'rig'},
+    threshold_m: {type: 'number', default: 5000}
+  },
+
+  init: function () {
+    this.trackPosition = new THREE.Vector3();
+    this.offset = new THREE.Vector3(); // sum of all shifts, i.e. the current origin in the original scene coordinates
+  },
+
+  tick: function () {
+    let trackElement = document.getElementById(this.data.trackId);
+    if (!this.data.enabled || !trackElement) {
+      return;
+    }
+    trackElement.object3D.getWorldPosition(this.trackPosition);
+    let distance_m = Math.hypot(this.trackPosition.x, this.trackPosition.z);
+    if (distance_m > this.data.threshold_m) {
+      this.shift(new THREE.Vector3(this.trackPosition.x, 0, this.trackPosition.z));
+    }
+  },
+
+  // Move the rig and all map content by -shift, so the point at shift becomes the new origin
+  shift: function(shift) {
+    let rig = document.getElementById(this.data.rigId) || document.getElementById(this.data.trackId);
+    rig.object3D.position.sub(shift);
+    for (let name of ['osm-tiles', 'osm-geojson', 'osm-labels', 'osm-pois']) {
+      for (let el of this.sceneEl.querySelectorAll(`[${name}]`)) {
+        el.components[name].rebase(shift);
+      }
+    }
+    let geo = this.sceneEl.systems['osm-geo'];
+    if (geo.origin) {
+      geo.setOrigin(...osmGeo.plane2latlon(shift.x, shift.z, geo.origin.lat, geo.origin.lon));
+    }
+    this.offset.add(shift);
+    this.sceneEl.emit('osm-origin', {shift: shift, offset: this.offset.clone()});
+  }
+});
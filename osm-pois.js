@@ -0,0 +1,342 @@
+// Aframe component to show points of interest from OpenStreetMap as icons, e.g. restaurants, shops and sights
+//
+// Include it after osm-tile-loader.js, whose tile loading it shares with osm-geojson, and add it like osm-geojson:
+// <a-entity osm-pois="lat: 52.52; lon: 13.41; radius_m: 1000; unloadRadius_m: 2500; trackId: head"></a-entity>
+//
+// lat, lon: start position of the map at Aframe's origin (0,0)
+// radius_m: radius in meters around the start position or trackId to load points of interest from the Overpass API
+// zoom: zoom level of the tiles loaded at once, see osm-geojson
+// trackId: optional id of a scene element for dynamic loading
+// unloadRadius_m: distance in meters around trackId beyond which loaded points are removed again, 0 keeps them
+// tags: comma separated tag filters of the points to load, either a key like amenity or key=value like tourism=museum
+// iconSize_m: height of the icons in meters when they're close, they grow with their distance to stay visible
+// clusterDistance_m: points further away from the camera than this are grouped into clusters, 0 never groups them
+// maxIcons: maximum number of icons shown at once, the closest ones are shown
+// overpassUrl: url of the Overpass API interpreter
+// maxRequests, retries: like osm-geojson
+//
+// Points are nodes, or the center of ways and relations, with one of the tags. Their icon's colour shows their
+// category: food and drinks, sights and culture, lodging, public transport, shops, or others. Icons stand above the
+// roofs of osm-geojson buildings and face the camera, all of them are drawn as one instanced mesh. The further away
+// points are, the larger the clusters they're grouped into, a cluster's icon grows with its number of points and has
+// the colour of its most common category.
+// The icons have the class collidable: clicking one, e.g. with the controller's trigger and a raycaster for
+// .collidable, emits an osm-poi-select event with {id, tags, category, url, pois}, bubbling up to the scene.
+// pois lists {id, tags, category} of the clicked cluster's points; for clusters, id, tags and url are null.
+// With osm-terrain, points are placed on the terrain like osm-geojson's buildings.
+
+AFRAME.registerComponent('osm-pois', Object.assign({}, osmTileLoader, {
+  schema: {
+    lat: {type: 'number'},
+    lon: {type: 'number'},
+    radius_m: {type: 'number', default: 1000},
+    zoom: {type: 'number', default: 15},
+    trackId: {type: 'string'},
+    unloadRadius_m: {type: 'number', default: 0},
+    tags: {type: 'array', default: ['amenity', 'shop', 'tourism', 'public_transport']},
+    iconSize_m: {type: 'number', default: 3},
+    clusterDistance_m: {type: 'number', default: 300},
+    maxIcons: {type: 'number', default: 300},
+    overpassUrl: {type: 'string', default: 'https://overpass-api.de/api/interpreter'},
+    maxRequests: {type: 'number', default: 1},
+    retries: {type: 'number', default: 3}
+  },
+
+  init: function () {
+    this.initTiles();
+    // categories in the order they're checked: the tag values they include, * for any value, and their colour
+    this.CATEGORIES = {
+      'food': {tags: {amenity: ['restaurant', 'cafe', 'fast_food', 'bar', 'pub', 'biergarten', 'ice_cream',
+        'food_court']}, color: '#e8742c'},
+      'sight': {tags: {tourism: ['attraction', 'museum', 'viewpoint', 'artwork', 'gallery', 'zoo', 'theme_park',
+        'aquarium'], historic: '*', amenity: ['theatre', 'arts_centre', 'cinema', 'place_of_worship']},
+        color: '#d43a3a'},
+      'lodging': {tags: {tourism: ['hotel', 'hostel', 'guest_house', 'motel', 'apartment', 'camp_site']},
+        color: '#3a6fd4'},
+      'transport': {tags: {public_transport: '*', amenity: ['bus_station', 'ferry_terminal', 'taxi',
+        'bicycle_rental']}, color: '#2e9e4f'},
+      'shop': {tags: {shop: '*'}, color: '#8e44ad'},
+      'other': {tags: {}, color: '#777777'}
+    };
+    // street furniture and duplicates that would clutter the view, skipped unless another filter matches
+    this.IGNORED = {
+      amenity: ['bench', 'waste_basket', 'waste_disposal', 'recycling', 'parking', 'parking_space',
+        'parking_entrance', 'bicycle_parking', 'motorcycle_parking', 'vending_machine', 'post_box', 'telephone',
+        'drinking_water', 'shelter', 'clock', 'hunting_stand'],
+      public_transport: ['stop_position'], // the platform of the same stop is shown
+      shop: ['vacant']
+    };
+    this.ICON_HEIGHT_M = 2; // gap between the roof or ground and the bottom of the icons
+    this.MIN_ICON_ANGLE = 0.02; // icons grow with their distance, so they cover at least this angle
+    this.CLUSTER_ANGLE = 0.05; // size of the cluster cells as angle seen from the camera, rounded to powers of 2
+    this.ROOF_CHECKS = 20; // maximum number of points whose roof height is looked up per layout
+    this.LAYOUT_INTERVAL_MS = 200; // how often the shown icons and clusters are chosen
+
+    this.poisLoaded = {}; // maps the OSM id of each point to its tile batch, as ways can reach into several tiles
+    // {id, tags, category, position, ground, roofVersion, batch} of each point, position is above the roof
+    this.pois = [];
+    this.instances = []; // {pois, category, position, size} of each shown icon, by instance id
+    this.matrix = new THREE.Matrix4();
+    this.scale = new THREE.Vector3();
+
+    this.mesh = null;
+    this.meshEntity = document.createElement('a-entity');
+    this.meshEntity.classList.add('collidable');
+    this.el.appendChild(this.meshEntity);
+    this.onClick = this.onClick.bind(this);
+    this.meshEntity.addEventListener('click', this.onClick);
+  },
+
+  update: function (oldData) {
+    this.filters = this.data.tags.map(filter => filter.split('=').map(part => part.trim()));
+    this.createMesh();
+    osmTileLoader.update.call(this, oldData);
+  },
+
+  remove: function () {
+    this.meshEntity.removeEventListener('click', this.onClick);
+    this.meshEntity.parentNode.removeChild(this.meshEntity);
+    if (this.mesh) {
+      this.mesh.geometry.dispose();
+      this.mesh.material.map.dispose();
+      this.mesh.material.dispose();
+    }
+  },
+
+  // Get the Overpass query with {{bbox}} placeholder for the tag filters, used by loadOSMbuildingsBbox
+  // Ways and relations are returned with their center
+  overpassQuery: function() {
+    let statements = this.filters.map(([key, value]) =>
+      `nwr["${key}"${value === undefined ? '' : `="${value}"`}]({{bbox}});`);
+    return `[out:json][timeout:30];(\n${statements.join('\n')}\n);out center;`;
+  },
+
+  // Create the instanced mesh for up to maxIcons icons, replacing the previous one
+  createMesh: function() {
+    if (this.mesh) {
+      if (this.mesh.instanceMatrix.count == this.data.maxIcons) {
+        this.mesh.count = 0;
+        this.instances = [];
+        return;
+      }
+      this.meshEntity.removeObject3D('mesh');
+      this.mesh.geometry.dispose();
+      this.mesh.material.map.dispose();
+      this.mesh.material.dispose();
+    }
+    // a unit square with its bottom at the point, so the icons stand on it
+    let geometry = new THREE.PlaneGeometry(1, 1).translate(0, 0.5, 0);
+    let material = new THREE.MeshBasicMaterial({map: this.iconTexture(), alphaTest: 0.5, side: THREE.DoubleSide});
+    this.mesh = new THREE.InstancedMesh(geometry, material, this.data.maxIcons);
+    this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    // set all colours once, so the shader is compiled with instance colours
+    let color = new THREE.Color();
+    for (let i = 0; i < this.data.maxIcons; i++) {
+      this.mesh.setColorAt(i, color);
+    }
+    this.mesh.count = 0;
+    this.instances = [];
+    this.meshEntity.setObject3D('mesh', this.mesh);
+  },
+
+  // Draw the icon, a white pin with a dark outline, which is tinted with the colours of the instances
+  iconTexture: function() {
+    const SIZE = 64;
+    let canvas = document.createElement('canvas');
+    canvas.width = SIZE;
+    canvas.height = SIZE;
+    let context = canvas.getContext('2d');
+    let radius = SIZE * 0.3;
+    let center = SIZE * 0.35;
+    context.beginPath();
+    context.arc(SIZE / 2, center, radius, Math.PI * 0.8, Math.PI * 0.2);
+    context.lineTo(SIZE / 2, SIZE - 2);
+    context.closePath();
+    context.fillStyle = '#fff';
+    context.fill();
+    context.lineWidth = SIZE / 16;
+    context.strokeStyle = '#333';
+    context.stroke();
+    context.beginPath();
+    context.arc(SIZE / 2, center, radius * 0.4, 0, 2 * Math.PI);
+    context.fillStyle = '#333';
+    context.fill();
+    let texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+  },
+
+  // Remove the points of a tile batch and forget them, called by unloadBatch
+  forgetBatch: function(batch) {
+    for (let id of Object.keys(this.poisLoaded)) {
+      if (this.poisLoaded[id] === batch) {
+        delete this.poisLoaded[id];
+      }
+    }
+    this.pois = this.pois.filter(poi => poi.batch !== batch);
+    this.lastLayout = 0;
+  },
+
+  // Add the points of interest of an Overpass response, skipping those loaded before and ignored ones
+  // Returns null, as there's no entity per batch: all icons are drawn by the instanced mesh
+  addElements: function(elements, batch) {
+    for (let element of elements) {
+      let poi = this.element2poi(element);
+      if (!poi || this.poisLoaded[poi.id]) {
+        continue;
+      }
+      this.poisLoaded[poi.id] = batch;
+      poi.batch = batch;
+      this.pois.push(poi);
+    }
+    this.lastLayout = 0;
+    return null;
+  },
+
+  // Convert an Overpass element with tags and a position or center into {id, tags, category, position, ground}
+  // Returns null for elements without position and for those only matching ignored values
+  element2poi: function(element) {
+    let tags = element.tags || {};
+    let point = element.type == 'node' ? element : element.center;
+    if (!point || !this.filters.some(filter => this.isShown(filter, tags))) {
+      return null;
+    }
+    let [x, z] = osmGeo.latlon2plane_m(point.lat, point.lon, this.origin.lat, this.origin.lon);
+    let ground = this.terrainHeight([this.plane2coords(x, -z)]);
+    return {id: `${element.type}/${element.id}`, tags: tags, category: this.poiCategory(tags),
+      position: new THREE.Vector3(x, ground + this.ICON_HEIGHT_M, z), ground: ground, roofVersion: -1};
+  },
+
+  // Check if tags match a [key, value] filter, without a value any but the ignored values match
+  isShown: function([key, value], tags) {
+    if (!(key in tags)) {
+      return false;
+    }
+    return value === undefined ? !(this.IGNORED[key] || []).includes(tags[key]) : tags[key] == value;
+  },
+
+  // Get the name of the first category whose tags match, other if none does
+  poiCategory: function(tags) {
+    for (let [name, category] of Object.entries(this.CATEGORIES)) {
+      for (let [key, values] of Object.entries(category.tags)) {
+        if (key in tags && (values == '*' || values.includes(tags[key]))) {
+          return name;
+        }
+      }
+    }
+    return 'other';
+  },
+
+  // Get the osm-geojson components of the scene, whose roofs the icons stand on
+  maps: function() {
+    return Array.from(this.el.sceneEl.querySelectorAll('[osm-geojson]'), el => el.components['osm-geojson'])
+      .filter(map => map);
+  },
+
+  // Put icons of points close to the camera on the roofs below them, a few per layout as raycasts are slow
+  // They're checked again when osm-geojson adds or removes buildings
+  placeOnRoofs: function(pois) {
+    let maps = this.maps();
+    // the versions only increase, so their sum changes whenever buildings change in one of the maps
+    let version = maps.reduce((sum, map) => sum + map.geometryVersion, 0);
+    let checks = 0;
+    for (let poi of pois) {
+      if (poi.roofVersion == version) {
+        continue;
+      }
+      if (checks++ >= this.ROOF_CHECKS) {
+        break;
+      }
+      poi.roofVersion = version;
+      let roof = Math.max(poi.ground, ...maps.map(map => map.heightAt(poi.position.x, poi.position.z)));
+      poi.position.y = roof + this.ICON_HEIGHT_M;
+    }
+  },
+
+  // Choose the icons to show for the camera: single points close to it, and clusters further away
+  // Points are grouped by cells of a grid, whose size doubles with the distance, the closest maxIcons are shown
+  layout: function(camera) {
+    let groups = new Map();
+    let singles = [];
+    for (let poi of this.pois) {
+      let projected = poi.position.clone().project(camera);
+      if (projected.z > 1 || Math.abs(projected.x) > 1.2 || Math.abs(projected.y) > 1.2) {
+        continue; // behind the camera or off the screen
+      }
+      let distance = poi.position.distanceTo(this.cameraPosition);
+      let key = poi.id;
+      if (this.data.clusterDistance_m > 0 && distance > this.data.clusterDistance_m) {
+        let cell = 2 ** Math.ceil(Math.log2(distance * this.CLUSTER_ANGLE));
+        key = `${cell}/${Math.floor(poi.position.x / cell)}/${Math.floor(poi.position.z / cell)}`;
+      } else {
+        singles.push(poi);
+      }
+      let group = groups.get(key);
+      if (!group) {
+        group = {pois: [], distance: distance};
+        groups.set(key, group);
+      }
+      group.pois.push(poi);
+      group.distance = Math.min(group.distance, distance);
+    }
+    singles.sort((a, b) => a.position.distanceTo(this.cameraPosition) - b.position.distanceTo(this.cameraPosition));
+    this.placeOnRoofs(singles);
+
+    let shown = Array.from(groups.values()).sort((a, b) => a.distance - b.distance).slice(0, this.data.maxIcons);
+    let color = new THREE.Color();
+    this.instances = shown.map((group, i) => {
+      // clusters stand in the middle of their points, above the highest one
+      let position = new THREE.Vector3(0, -Infinity, 0);
+      let counts = {};
+      for (let poi of group.pois) {
+        position.x += poi.position.x / group.pois.length;
+        position.z += poi.position.z / group.pois.length;
+        position.y = Math.max(position.y, poi.position.y);
+        counts[poi.category] = (counts[poi.category] || 0) + 1;
+      }
+      let category = Object.keys(counts).reduce((a, b) => counts[b] > counts[a] ? b : a);
+      let size = Math.max(this.data.iconSize_m, group.distance * this.MIN_ICON_ANGLE)
+        * (1 + 0.4 * Math.log2(group.pois.length));
+      this.mesh.setColorAt(i, color.set(this.CATEGORIES[category].color));
+      return {pois: group.pois, category: category, position: position, size: size};
+    });
+    this.mesh.count = this.instances.length;
+    this.mesh.instanceColor.needsUpdate = true;
+    this.faceCamera();
+    this.mesh.computeBoundingSphere();
+  },
+
+  // Turn the shown icons towards the camera, all of them are parallel to the screen
+  faceCamera: function() {
+    for (let i = 0; i < this.instances.length; i++) {
+      let instance = this.instances[i];
+      this.matrix.compose(instance.position, this.cameraQuaternion, this.scale.setScalar(instance.size));
+      this.mesh.setMatrixAt(i, this.matrix);
+    }
+    this.mesh.instanceMatrix.needsUpdate = true;
+  },
+
+  // Emit osm-poi-select for the clicked icon, with its points
+  onClick: function(event) {
+    let intersection = event.detail && event.detail.intersection;
+    let instance = intersection ? this.instances[intersection.instanceId] : null;
+    if (!instance) {
+      return;
+    }
+    let pois = instance.pois.map(poi => ({id: poi.id, tags: poi.tags, category: poi.category}));
+    let single = pois.length == 1 ? pois[0] : null;
+    this.el.emit('osm-poi-select', {id: single ? single.id : null, tags: single ? single.tags : null,
+      category: instance.category, url: single ? `https://www.openstreetmap.org/${single.id}` : null, pois: pois});
+  },
+
+  // Move the origin of the plane by shift (Vector3 in meters, using x and z), called by the osm-origin system
+  // The entity of the icons stays, the points are moved and scaled horizontally for the latitude of the new origin
+  rebase: function(shift) {
+    let scale = osmTileLoader.rebase.call(this, shift, []);
+    for (let poi of this.pois) {
+      poi.position.x = (poi.position.x - shift.x) * scale;
+      poi.position.z = (poi.position.z - shift.z) * scale;
+    }
+    this.lastLayout = 0;
+  }
+}));
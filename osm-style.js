@@ -0,0 +1,227 @@
+// Aframe system to style buildings by their tags, with separate colours and materials for walls and roofs
+//
+// Including this file lets osm-geojson colour walls and roofs separately and add procedural facade textures
+// with rows of windows, configure it on the scene:
+// <a-scene osm-style="textures: true; windowWidth_m: 3">
+//
+// enabled: set to false to keep the plain single coloured buildings without removing the script
+// textures: set to false to skip the facade textures, walls and roofs still get their own colours and materials
+// windowWidth_m: horizontal distance in meters between windows
+// palettes: fallback colours per building type, see below
+//
+// Tags used, see https://wiki.openstreetmap.org/wiki/Key:building:material and Key:roof:material
+// * building:colour and roof:colour set the colour of walls and roofs
+// * building:material and roof:material, e.g. brick, glass, concrete, wood, metal, stone, plaster, roof_tiles or slate,
+//   set the surface, the facade pattern and the colour if no colour is given
+// * building:levels sets the number of window rows, together with height; otherwise there's a row every 3 meters
+// Building parts without these tags use the ones of their building.
+//
+// Buildings without colour or material tags take a colour from the palette of their building type, each building
+// picks one by its id, so it keeps the colour when it's loaded again. Palettes map building types (values of the
+// building tag) to arrays of colours, 'default' is used for other types and 'roof' for roofs. Set your own from
+// javascript, they're used instead of the built-in palettes of the same type:
+// scene.setAttribute('osm-style', 'palettes', {industrial: ['#8a8d91', '#9b9a96'], roof: ['#777']})
+//
+// Walls are faces steeper than 60 degrees, so e.g. gables count as walls and the sides of domes as roof.
+
+AFRAME.registerSystem('osm-style', {
+  schema: {
+    enabled: {type: 'boolean', default: true},
+    textures: {type: 'boolean', default: true},
+    windowWidth_m: {type: 'number', default: 3},
+    palettes: {
+      default: {},
+      parse: function(value) {
+        return typeof value == 'string' ? JSON.parse(value || '{}') : value;
+      },
+      stringify: JSON.stringify
+    }
+  },
+
+  // the web worker of osm-geojson sets data after init and only calls styleBuilding, it never creates materials
+  init: function () {
+    this.LEVEL_HEIGHT_M = 3; // height of a window row if it can't be derived from building:levels
+    this.WALL_NORMAL_Y = 0.5; // faces whose normal points less upwards than this are walls
+    this.TEXTURE_SIZE = 64; // width and height in pixels of the facade textures, for one window and level
+    // surfaces of wall and roof materials, with their default colour and the facade pattern of walls
+    this.MATERIALS = {
+      'brick': {color: '#a65e4b', roughness: 0.9, metalness: 0, facade: 'windows'},
+      'concrete': {color: '#b8b4ab', roughness: 0.9, metalness: 0, facade: 'windows'},
+      'plaster': {color: '#e3dccd', roughness: 0.9, metalness: 0, facade: 'windows'},
+      'stone': {color: '#c9bc9f', roughness: 0.9, metalness: 0, facade: 'windows'},
+      'wood': {color: '#a7774f', roughness: 0.8, metalness: 0, facade: 'windows'},
+      'metal': {color: '#a3a8ad', roughness: 0.4, metalness: 0.6, facade: 'bands'},
+      'glass': {color: '#8fb2c9', roughness: 0.1, metalness: 0.7, facade: 'curtain'},
+      'roof_tiles': {color: '#a4533f', roughness: 0.8, metalness: 0, facade: null},
+      'slate': {color: '#5c6169', roughness: 0.7, metalness: 0, facade: null},
+      'copper': {color: '#6fa58c', roughness: 0.5, metalness: 0.5, facade: null},
+      'tar_paper': {color: '#5a5a5a', roughness: 0.9, metalness: 0, facade: null},
+      'gravel': {color: '#9d988d', roughness: 1, metalness: 0, facade: null},
+      'grass': {color: '#7d9b5b', roughness: 1, metalness: 0, facade: null},
+      'thatch': {color: '#b59d63', roughness: 1, metalness: 0, facade: null}
+    };
+    // other material values that look like one of the above
+    this.MATERIAL_ALIASES = {
+      'timber_framing': 'wood', 'steel': 'metal', 'aluminium': 'metal', 'sandstone': 'stone', 'limestone': 'stone',
+      'granite': 'stone', 'marble': 'stone', 'cement_block': 'concrete', 'reinforced_concrete': 'concrete',
+      'eternit': 'concrete', 'mirror': 'glass', 'tiles': 'roof_tiles', 'tile': 'roof_tiles', 'asphalt': 'tar_paper',
+      'plants': 'grass', 'metal_sheet': 'metal', 'zinc': 'metal'
+    };
+    let houses = ['#e6d5bc', '#dcc3a5', '#efe3cf', '#d4b99c', '#e8d9c9'];
+    let offices = ['#c9ccd0', '#b9bec4', '#d6d3cd', '#c2c6c1'];
+    let industry = ['#a9aaa7', '#b6b3aa', '#9c9e9f', '#aeb2b5'];
+    let churches = ['#cfc3a8', '#bcae92', '#c8bba7'];
+    this.PALETTES = {
+      'default': ['#d9d0c1', '#cbc3b6', '#e2d9cb', '#c4b8a6', '#d6cbbd'],
+      'roof': ['#8c6e63', '#716c68', '#9b7a60', '#807f7c', '#a0624f'],
+      'house': houses, 'detached': houses, 'semidetached_house': houses, 'terrace': houses,
+      'residential': houses, 'apartments': houses,
+      'commercial': offices, 'office': offices, 'retail': offices, 'hotel': offices, 'public': offices,
+      'industrial': industry, 'warehouse': industry, 'garage': industry, 'garages': industry, 'hangar': industry,
+      'church': churches, 'cathedral': churches, 'chapel': churches
+    };
+    this.materials = new Map(); // maps each material key to its MeshStandardMaterial, created when needed
+    this.textures = new Map(); // maps each facade pattern to its texture
+  },
+
+  // Get the palette of a building type, or 'default' and 'roof' for other buildings and roofs
+  palette: function(type) {
+    return this.data.palettes[type] || this.PALETTES[type];
+  },
+
+  // Pick one colour from a palette by a feature id, so the same feature always gets the same colour
+  pick: function(colors, id) {
+    let hash = 0;
+    for (let i = 0; i < id.length; i++) {
+      hash = (hash * 31 + id.charCodeAt(i)) | 0;
+    }
+    return colors[(hash >>> 0) % colors.length];
+  },
+
+  // Get the name of a supported material for a building:material or roof:material value, or null
+  tag2material: function(value) {
+    value = this.MATERIAL_ALIASES[value] || value;
+    return value in this.MATERIALS ? value : null;
+  },
+
+  // Split the geometry of a building or building part into walls and roof with their own colours and materials
+  // building is the feature the part belongs to, its tags are used for tags the part doesn't have
+  // Returns an array of {geometry, material} with vertex colours, where material is the key for material(key)
+  // Walls get uv coordinates counting windows horizontally and levels vertically, the geometry has to stand on y = 0
+  styleBuilding: function(feature, geometry, building = feature) {
+    let tag = (key) => key in feature.properties ? feature.properties[key] : building.properties[key];
+    let wallMaterial = this.tag2material(tag('building:material'));
+    let roofMaterial = this.tag2material(tag('roof:material'));
+    let wallColor = tag('building:colour') || (wallMaterial ? this.MATERIALS[wallMaterial].color
+      : this.pick(this.palette(building.properties.building) || this.palette('default'), String(building.id)));
+    let roofColor = tag('roof:colour') || (roofMaterial ? this.MATERIALS[roofMaterial].color
+      : this.pick(this.palette('roof'), String(building.id)));
+    let levels = parseInt(tag('building:levels')) + (parseInt(tag('roof:levels')) || 0);
+    let levelHeight = levels > 0 && parseFloat(tag('height')) > 0 ? parseFloat(tag('height')) / levels : this.LEVEL_HEIGHT_M;
+
+    let walls = {positions: [], normals: [], uvs: []};
+    let roof = {positions: [], normals: [], uvs: []};
+    let position = geometry.getAttribute('position');
+    let normal = geometry.getAttribute('normal');
+    let a = new THREE.Vector3();
+    let b = new THREE.Vector3();
+    let c = new THREE.Vector3();
+    let face = new THREE.Vector3();
+    for (let i = 0; i < position.count; i += 3) {
+      a.fromBufferAttribute(position, i);
+      b.fromBufferAttribute(position, i + 1);
+      c.fromBufferAttribute(position, i + 2);
+      face.subVectors(c, b).cross(a.clone().sub(b)).normalize();
+      let horizontal = Math.hypot(face.x, face.z); // 0 for degenerate triangles, which are left to the roof
+      let isWall = horizontal > 0 && Math.abs(face.y) < this.WALL_NORMAL_Y;
+      let part = isWall ? walls : roof;
+      // along the wall horizontally, so windows line up on each side of the building
+      let alongX = -face.z / horizontal;
+      let alongZ = face.x / horizontal;
+      for (let j = i; j < i + 3; j++) {
+        part.positions.push(position.getX(j), position.getY(j), position.getZ(j));
+        part.normals.push(normal.getX(j), normal.getY(j), normal.getZ(j));
+        if (isWall) {
+          let along = position.getX(j) * alongX + position.getZ(j) * alongZ;
+          part.uvs.push(along / this.data.windowWidth_m, position.getY(j) / levelHeight);
+        } else {
+          part.uvs.push(0, 0);
+        }
+      }
+    }
+
+    let parts = [];
+    for (let [part, color, key] of [[walls, wallColor, 'wall:' + (wallMaterial || '')],
+                                     [roof, roofColor, 'roof:' + (roofMaterial || '')]]) {
+      if (part.positions.length > 0) {
+        let result = new THREE.BufferGeometry();
+        result.setAttribute('position', new THREE.Float32BufferAttribute(part.positions, 3));
+        result.setAttribute('normal', new THREE.Float32BufferAttribute(part.normals, 3));
+        result.setAttribute('uv', new THREE.Float32BufferAttribute(part.uvs, 2));
+        this.setColor(result, color);
+        parts.push({geometry: result, material: key});
+      }
+    }
+    return parts;
+  },
+
+  // Set the colour of all vertices of a geometry, like setColor of osm-geojson
+  setColor: function(geometry, colorString) {
+    let color = new THREE.Color(colorString);
+    let colors = new Float32Array(geometry.getAttribute('position').count * 3);
+    for (let i = 0; i < colors.length; i += 3) {
+      colors.set([color.r, color.g, color.b], i);
+    }
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  },
+
+  // Get the shared material for a key from styleBuilding, e.g. 'wall:brick', 'roof:' or 'ground' for other features
+  // Materials use vertex colours, walls with windows get a facade texture that darkens their colour at the windows
+  material: function(key) {
+    if (!this.materials.has(key)) {
+      let [part, name] = key.split(':');
+      let surface = this.MATERIALS[name] || {roughness: 0.9, metalness: 0, facade: part == 'wall' ? 'windows' : null};
+      let material = new THREE.MeshStandardMaterial(
+        {vertexColors: true, roughness: surface.roughness, metalness: surface.metalness});
+      if (part == 'wall' && surface.facade && this.data.textures) {
+        material.map = this.facadeTexture(surface.facade);
+      }
+      this.materials.set(key, material);
+    }
+    return this.materials.get(key);
+  },
+
+  // Draw the texture of one window and one level for a facade pattern, repeated along the walls
+  // windows: single windows in a plain wall, bands: a horizontal band of windows, curtain: a glass wall with mullions
+  facadeTexture: function(pattern) {
+    if (!this.textures.has(pattern)) {
+      let size = this.TEXTURE_SIZE;
+      let canvas = Object.assign(document.createElement('canvas'), {width: size, height: size});
+      let context = canvas.getContext('2d');
+      // white keeps the vertex colour, darker parts darken it; the top of the canvas is the top of the level
+      context.fillStyle = '#fff';
+      context.fillRect(0, 0, size, size);
+      if (pattern == 'windows') {
+        context.fillStyle = '#4a5058';
+        context.fillRect(size * 0.25, size * 0.2, size * 0.5, size * 0.45);
+      } else if (pattern == 'bands') {
+        context.fillStyle = '#4a5058';
+        context.fillRect(0, size * 0.2, size, size * 0.45);
+        context.fillStyle = '#ddd';
+        context.fillRect(0, size * 0.2, size * 0.04, size * 0.45);
+      } else if (pattern == 'curtain') {
+        context.fillStyle = '#9aa4ad';
+        context.fillRect(0, 0, size, size);
+        context.fillStyle = '#e8ecef';
+        context.fillRect(0, 0, size * 0.04, size);
+        context.fillRect(0, size * 0.85, size, size * 0.15);
+      }
+      let texture = new THREE.CanvasTexture(canvas);
+      texture.wrapS = THREE.RepeatWrapping;
+      texture.wrapT = THREE.RepeatWrapping;
+      texture.colorSpace = THREE.SRGBColorSpace;
+      this.textures.set(pattern, texture);
+    }
+    return this.textures.get(pattern);
+  }
+});
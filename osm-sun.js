@@ -0,0 +1,185 @@
+// Aframe component for daylight at the map's location, with the sun at its position for a given date and time
+//
+// Add it to any entity, it replaces Aframe's default lights with a sun and a sky light:
+// <a-entity osm-sun="date: 2024-06-21; time: 9.5; utcOffset: 2; slider: true"></a-entity>
+//
+// date: day as YYYY-MM-DD, default is today
+// time: local time of day in hours, e.g. 14.5 for 14:30, default -1 follows the current time
+// utcOffset: hours the local time is ahead of UTC, e.g. 2 in Berlin in summer, default is the browser's time zone
+// trackId: id of the element the shadows are computed around, usually the camera
+// shadowSize_m: width and depth in meters of the area around trackId in which buildings cast shadows
+//   larger areas get blurrier shadows
+// intensity: intensity of the sun when it's high, it fades out towards sunset
+// ambient: intensity of the sky light, which is lower at night
+// slider: set to true to show a slider for the time of day on the page
+//
+// The sun's position is computed for the scene's origin (see osm-geo.js) and follows it when the map moves.
+// It emits an osm-sun event with {azimuth, elevation, date} whenever the sun moves, azimuth is in degrees clockwise
+// from north and elevation in degrees above the horizon.
+// Buildings of osm-geojson cast and receive shadows, add shadow="receive: true" to osm-tiles to see them on the map.
+
+AFRAME.registerComponent('osm-sun', {
+  schema: {
+    date: {type: 'string'},
+    time: {type: 'number', default: -1},
+    utcOffset: {type: 'number', default: NaN},
+    trackId: {type: 'string', default: 'head'},
+    shadowSize_m: {type: 'number', default: 300},
+    intensity: {type: 'number', default: 2},
+    ambient: {type: 'number', default: 0.8},
+    slider: {type: 'boolean', default: false}
+  },
+
+  init: function () {
+    this.DISTANCE_M = 1000; // distance of the light from the tracked element, the shadow camera sees twice as far
+    this.UPDATE_MS = 60000; // how often the sun moves when it follows the current time
+    this.SUNSET_COLOR = new THREE.Color('#ffb46b');
+    this.NOON_COLOR = new THREE.Color('#fff6e8');
+    this.direction = new THREE.Vector3(0, 1, 0); // towards the sun, in scene coordinates
+    this.trackPosition = new THREE.Vector3();
+    this.lastUpdate = 0;
+
+    // the light shines from its position to its target, both are moved with the tracked element
+    this.targetEl = document.createElement('a-entity');
+    this.sunEl = document.createElement('a-entity');
+    this.sunEl.setAttribute('light', {type: 'directional', castShadow: true, target: this.targetEl,
+      shadowMapWidth: 2048, shadowMapHeight: 2048, shadowBias: -0.0005, shadowCameraNear: 1,
+      shadowCameraFar: 2 * this.DISTANCE_M});
+    this.skyEl = document.createElement('a-entity');
+    this.skyEl.setAttribute('light', {type: 'hemisphere', color: '#dde8ff', groundColor: '#6b6255'});
+    for (let el of [this.targetEl, this.sunEl, this.skyEl]) {
+      this.el.sceneEl.appendChild(el);
+    }
+
+    this.onOriginChanged = this.onOriginChanged.bind(this);
+    this.el.sceneEl.addEventListener('osm-geo-origin', this.onOriginChanged);
+    this.slider = null;
+  },
+
+  update: function () {
+    let half = this.data.shadowSize_m / 2;
+    this.sunEl.setAttribute('light', {shadowCameraLeft: -half, shadowCameraRight: half,
+      shadowCameraTop: half, shadowCameraBottom: -half});
+    this.updateSun();
+  },
+
+  remove: function () {
+    this.el.sceneEl.removeEventListener('osm-geo-origin', this.onOriginChanged);
+    for (let el of [this.targetEl, this.sunEl, this.skyEl]) {
+      el.parentNode.removeChild(el);
+    }
+    if (this.slider) {
+      this.slider.parentNode.removeChild(this.slider);
+    }
+  },
+
+  tick: function (time) {
+    if (this.data.time < 0 && time - this.lastUpdate > this.UPDATE_MS) {
+      this.updateSun();
+    }
+    let trackElement = document.getElementById(this.data.trackId);
+    if (trackElement) {
+      trackElement.object3D.getWorldPosition(this.trackPosition);
+      // move in whole meters, so the shadows don't flicker with each small movement
+      this.trackPosition.round();
+    } else {
+      this.trackPosition.set(0, 0, 0);
+    }
+    this.targetEl.object3D.position.copy(this.trackPosition);
+    this.sunEl.object3D.position.copy(this.trackPosition).addScaledVector(this.direction, this.DISTANCE_M);
+  },
+
+  onOriginChanged: function () {
+    this.updateSun();
+  },
+
+  // Move the sun to its position at the map's location for the configured date and time
+  // Its colour and intensity depend on the elevation, the sky light only dims at night
+  updateSun: function() {
+    this.lastUpdate = this.el.sceneEl.time;
+    let origin = this.el.sceneEl.systems['osm-geo'].origin;
+    let date = this.getDate();
+    if (!origin) {
+      this.updateSlider(date);
+      return;
+    }
+    let {azimuth, elevation} = this.sunPosition(date, origin.lat, origin.lon);
+    let az = azimuth * Math.PI / 180;
+    let alt = elevation * Math.PI / 180;
+    // x points east and z south in the scene
+    this.direction.set(Math.sin(az) * Math.cos(alt), Math.sin(alt), -Math.cos(az) * Math.cos(alt));
+    // fade in from slightly below the horizon to 10 degrees above it, and get whiter on the way up
+    let daylight = THREE.MathUtils.smoothstep(elevation, -2, 10);
+    let color = this.SUNSET_COLOR.clone().lerp(this.NOON_COLOR, THREE.MathUtils.smoothstep(elevation, 0, 30));
+    this.sunEl.setAttribute('light', {intensity: this.data.intensity * daylight, color: '#' + color.getHexString()});
+    this.skyEl.setAttribute('light', 'intensity', this.data.ambient * (0.2 + 0.8 * daylight));
+    this.updateSlider(date);
+    this.el.emit('osm-sun', {azimuth: azimuth, elevation: elevation, date: date});
+  },
+
+  // Get the hours the local time is ahead of UTC at a point in time, from utcOffset or the browser's time zone
+  utcOffset: function(date) {
+    return isNaN(this.data.utcOffset) ? -date.getTimezoneOffset() / 60 : this.data.utcOffset;
+  },
+
+  // Get the point in time for date, time and utcOffset, using the current date or time if they're not set
+  getDate: function() {
+    let now = new Date();
+    // the current date and time in the local time zone, read with the UTC methods
+    let local = new Date(now.getTime() + this.utcOffset(now) * 3600000);
+    let [year, month, day] = this.data.date ? this.data.date.split('-').map(Number)
+      : [local.getUTCFullYear(), local.getUTCMonth() + 1, local.getUTCDate()];
+    let hours = this.data.time >= 0 ? this.data.time : local.getUTCHours() + local.getUTCMinutes() / 60;
+    // the browser's time zone can have another offset on that day, e.g. with daylight saving time
+    let offsetThen = this.utcOffset(new Date(year, month - 1, day, Math.floor(hours)));
+    return new Date(Date.UTC(year, month - 1, day) + (hours - offsetThen) * 3600000);
+  },
+
+  // Compute the position of the sun at a point in time, as seen from lat, lon in degrees
+  // Returns {azimuth, elevation} in degrees, azimuth clockwise from north; accurate to about a degree
+  // based on the low precision formulas of the Astronomical Almanac, without atmospheric refraction
+  sunPosition: function(date, lat, lon) {
+    const RAD = Math.PI / 180;
+    let days = date.getTime() / 86400000 - 10957.5; // days since noon of January 1st 2000 (UTC)
+    let anomaly = (357.529 + 0.98560028 * days) * RAD;
+    let meanLongitude = 280.459 + 0.98564736 * days;
+    let longitude = (meanLongitude + 1.915 * Math.sin(anomaly) + 0.020 * Math.sin(2 * anomaly)) * RAD;
+    let obliquity = (23.439 - 0.00000036 * days) * RAD;
+    let rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(longitude), Math.cos(longitude));
+    let declination = Math.asin(Math.sin(obliquity) * Math.sin(longitude));
+    let siderealTime = (280.46061837 + 360.98564736629 * days + lon) * RAD;
+    let hourAngle = siderealTime - rightAscension;
+    let latRad = lat * RAD;
+    let elevation = Math.asin(Math.sin(latRad) * Math.sin(declination)
+      + Math.cos(latRad) * Math.cos(declination) * Math.cos(hourAngle));
+    let azimuth = Math.atan2(-Math.sin(hourAngle),
+      Math.cos(latRad) * Math.tan(declination) - Math.sin(latRad) * Math.cos(hourAngle));
+    return {azimuth: (azimuth / RAD + 360) % 360, elevation: elevation / RAD};
+  },
+
+  // Show or hide the slider for the time of day, which sets the time attribute, and show the local time of date
+  updateSlider: function(date) {
+    if (!this.data.slider) {
+      if (this.slider) {
+        this.slider.parentNode.removeChild(this.slider);
+        this.slider = null;
+      }
+      return;
+    }
+    if (!this.slider) {
+      this.slider = document.createElement('label');
+      this.slider.style.cssText = 'position: fixed; bottom: 8px; left: 50%; transform: translateX(-50%); z-index: 10;'
+        + 'background: rgba(255, 255, 255, 0.8); padding: 4px 8px; font: 0.9em sans-serif;';
+      this.slider.innerHTML = '<input type="range" min="0" max="24" step="0.25"> <span></span>';
+      this.slider.querySelector('input').addEventListener('input', (event) => {
+        this.el.setAttribute('osm-sun', 'time', parseFloat(event.target.value));
+      });
+      document.body.appendChild(this.slider);
+    }
+    let hours = this.data.time >= 0 ? this.data.time : (date.getTime() / 3600000 + this.utcOffset(date)) % 24;
+    this.slider.querySelector('input').value = hours;
+    let minutes = Math.round(hours * 60) % (24 * 60);
+    this.slider.querySelector('span').textContent =
+      `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+});
@@ -0,0 +1,160 @@
+// Aframe system to load terrain elevation from DEM (digital elevation model) tiles encoded as RGB images
+//
+// Including this file lets osm-tiles show the terrain as height field and osm-geojson place its buildings on it,
+// configure it on the scene:
+// <a-scene osm-terrain="url: https://s3.amazonaws.com/elevation-tiles-prod/terrarium/{z}/{x}/{y}.png">
+//
+// enabled: set to false to keep everything flat without removing the script
+// url: url template of the DEM tiles with {z}, {x} and {y} placeholders, e.g. 'dem/{z}/{x}/{y}.png' for a local folder
+//   or https://api.mapbox.com/v4/mapbox.terrain-rgb/{z}/{x}/{y}.pngraw?access_token=... with encoding mapbox
+// encoding: 'terrarium' (AWS terrain tiles, Tilezen) or 'mapbox' (Mapbox Terrain-RGB)
+// zoom: zoom level of the DEM tiles, higher levels are more detailed but need more tiles
+//
+// getElevation(lat, lon) returns a promise of the elevation in meters above sea level, or null if it's unavailable
+// e.g. document.querySelector('a-scene').systems['osm-terrain'].getElevation(52.52, 13.41).then(console.log);
+// Components usually place things relative to the elevation at their own lat/lon, which is at y = 0 in the scene.
+//
+// DEM tiles use the same Web Mercator tiles as the map, see osm-geo.js
+
+AFRAME.registerSystem('osm-terrain', {
+  schema: {
+    enabled: {type: 'boolean', default: true},
+    url: {type: 'string', default: 'https://s3.amazonaws.com/elevation-tiles-prod/terrarium/{z}/{x}/{y}.png'},
+    encoding: {type: 'string', default: 'terrarium', oneOf: ['terrarium', 'mapbox']},
+    zoom: {type: 'number', default: 12}
+  },
+
+  // the web worker of osm-geojson has its own instance, which loads its DEM tiles separately
+  init: function () {
+    this.MAX_TILES = 64; // DEM tiles kept in memory, the least recently used ones are dropped first
+    this.RETRY_DELAY_MS = 30000; // failed DEM tiles are loaded again when needed after this time
+    this.tiles = new Map(); // maps each zoom/x/y tile id to a promise of its heights, least recently used first
+    this.heights = new Map(); // maps each loaded zoom/x/y tile id to {size, heights}
+    this.loading = new Set(); // ids of the tiles that are still loading, they're kept when dropping tiles
+    this.lastUsed = null; // id of the tile used last, which is already at the end of tiles
+  },
+
+  // Get the elevation in meters above sea level at the given position, loading the DEM tile if needed
+  // zoom optionally sets a coarser zoom level than the default, e.g. for large areas
+  // Returns a promise of the elevation, or null if the DEM tile can't be loaded
+  getElevation: async function(lat, lon, zoom = this.data.zoom) {
+    let [x, y] = osmGeo.latlon2fractionalTileId(lat, lon, zoom);
+    await this.loadTile(Math.floor(x), Math.floor(y), zoom);
+    return this.elevationAt(lat, lon, zoom);
+  },
+
+  // Get the elevation like getElevation, but only from already loaded DEM tiles, e.g. while rendering
+  // Returns null if the DEM tile isn't loaded yet
+  elevationAt: function(lat, lon, zoom = this.data.zoom) {
+    let [x, y] = osmGeo.latlon2fractionalTileId(lat, lon, zoom);
+    let id = `${zoom}/${Math.floor(x)}/${Math.floor(y)}`;
+    let tile = this.heights.get(id);
+    if (!tile) {
+      return null;
+    }
+    this.touch(id);
+    // interpolate bilinearly between the centers of the four nearest pixels, clamped to the tile
+    let px = Math.min(Math.max((x - Math.floor(x)) * tile.size - 0.5, 0), tile.size - 1);
+    let py = Math.min(Math.max((y - Math.floor(y)) * tile.size - 0.5, 0), tile.size - 1);
+    let x0 = Math.floor(px);
+    let y0 = Math.floor(py);
+    let x1 = Math.min(x0 + 1, tile.size - 1);
+    let y1 = Math.min(y0 + 1, tile.size - 1);
+    let fx = px - x0;
+    let fy = py - y0;
+    let h = tile.heights;
+    let top = h[y0 * tile.size + x0] * (1 - fx) + h[y0 * tile.size + x1] * fx;
+    let bottom = h[y1 * tile.size + x0] * (1 - fx) + h[y1 * tile.size + x1] * fx;
+    return top * (1 - fy) + bottom * fy;
+  },
+
+  // Load all DEM tiles within the bounding box, so elevationAt can be used for it
+  // Returns a promise that resolves when all tiles are loaded or failed
+  load: function(south, west, north, east, zoom = this.data.zoom) {
+    let [startX, startY] = osmGeo.latlon2fractionalTileId(north, west, zoom).map(Math.floor);
+    let [endX, endY] = osmGeo.latlon2fractionalTileId(south, east, zoom).map(Math.floor);
+    let promises = [];
+    for (let y = startY; y <= endY; y++) {
+      for (let x = startX; x <= endX; x++) {
+        promises.push(this.loadTile(x, y, zoom));
+      }
+    }
+    return Promise.all(promises);
+  },
+
+  // Load a DEM tile unless it's loaded already, dropping the least recently used tiles when there are too many
+  // Tiles that are still loading aren't dropped, as callers are waiting for their heights
+  // Returns a promise of the tile's {size, heights}, or null if it failed
+  loadTile: function(x, y, zoom) {
+    let id = `${zoom}/${x}/${y}`;
+    if (this.tiles.has(id)) {
+      this.touch(id);
+      return this.tiles.get(id);
+    }
+    for (let oldId of this.tiles.keys()) {
+      if (this.tiles.size < this.MAX_TILES) {
+        break;
+      }
+      if (this.loading.has(oldId)) {
+        continue;
+      }
+      this.tiles.delete(oldId);
+      this.heights.delete(oldId);
+    }
+    let url = this.data.url.replace('{z}', zoom).replace('{x}', x).replace('{y}', y);
+    let promise = this.fetchHeights(url).then((tile) => {
+      this.loading.delete(id);
+      if (tile) {
+        this.heights.set(id, tile);
+      } else {
+        // forget the failure after a while, so a temporary error doesn't leave the terrain flat for good
+        setTimeout(() => this.tiles.get(id) === promise && this.tiles.delete(id), this.RETRY_DELAY_MS);
+      }
+      return tile;
+    });
+    this.tiles.set(id, promise);
+    this.loading.add(id);
+    this.lastUsed = id;
+    return promise;
+  },
+
+  // Mark a tile as used, by moving it to the end of tiles, so it's dropped last
+  touch: function(id) {
+    if (id !== this.lastUsed) {
+      let promise = this.tiles.get(id);
+      this.tiles.delete(id);
+      this.tiles.set(id, promise);
+      this.lastUsed = id;
+    }
+  },
+
+  // Load a DEM tile image and decode its pixels into elevations in meters
+  // Returns {size, heights} with size x size heights row by row from the north west corner, or null on failure
+  fetchHeights: async function(url) {
+    let pixels;
+    try {
+      let response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`status ${response.status}`);
+      }
+      let image = await createImageBitmap(await response.blob());
+      // OffscreenCanvas is also available in the web worker
+      let canvas = typeof OffscreenCanvas != 'undefined' ? new OffscreenCanvas(image.width, image.height)
+        : Object.assign(document.createElement('canvas'), {width: image.width, height: image.height});
+      let context = canvas.getContext('2d');
+      context.drawImage(image, 0, 0);
+      pixels = context.getImageData(0, 0, image.width, image.height);
+    } catch (error) {
+      console.warn('osm-terrain: failed to load', url, error);
+      return null;
+    }
+    let heights = new Float32Array(pixels.width * pixels.height);
+    let rgba = pixels.data;
+    for (let i = 0; i < heights.length; i++) {
+      let [r, g, b] = [rgba[4 * i], rgba[4 * i + 1], rgba[4 * i + 2]];
+      heights[i] = this.data.encoding == 'mapbox' ? -10000 + (r * 65536 + g * 256 + b) * 0.1
+        : r * 256 + g + b / 256 - 32768;
+    }
+    return {size: pixels.width, heights: heights};
+  }
+});
@@ -0,0 +1,323 @@
+// Loading of OSM data from the Overpass API in tiles around a tracked element, shared by osm-geojson, osm-labels
+// and osm-pois
+//
+// Include it after osm-geo.js and before the components using it. They're defined with the loader's methods as
+// defaults, e.g. AFRAME.registerComponent('osm-pois', Object.assign({}, osmTileLoader, {
+//
+// A component using it
+// * has lat, lon, radius_m, zoom, trackId, unloadRadius_m, overpassUrl, maxRequests and retries in its schema,
+//   with the meaning described in osm-geojson
+// * calls initTiles in its init, and sets LAYOUT_INTERVAL_MS there
+// * defines overpassQuery with the {{bbox}} placeholder, addElements(elements, batch) to add the elements of a loaded
+//   tile batch, returning an entity with them or null, and forgetBatch(batch) to remove them again
+// * defines layout(camera), which is called every LAYOUT_INTERVAL_MS, and faceCamera, which is called every frame
+//   to turn the content towards the camera at cameraPosition and cameraQuaternion
+// update starts loading again for new data, a component with more to reset calls it from its own update.
+// osm-geojson replaces update, tick, requestBatch and unloadBatch with its own, as it builds buildings in a web worker
+// and keeps track of the features shared by batches, and has batches with more fields, see its createBatch.
+//
+// Each request to the Overpass API loads a batch of tiles {tiles: [[x, y], ...], box: Box2 of the tiles in meters,
+// entity: a-entity of the batch or null, origin: the origin the batch is built for, set when it's requested}
+
+const osmTileLoader = {
+  // Set up the fields for loading tiles and the layout, called by the component's init
+  initTiles: function() {
+    this.RETRY_DELAY_S = 2; // delay before the first retry of a failed request, doubled for each further retry
+    this.FAILURE_PAUSE_MS = 30000; // pause after a batch failed completely, before loading more tiles
+
+    this.origin = {lat: 0, lon: 0}; // geocoordinates of the plane's origin, lat/lon unless moved by rebase
+    this.tilesLoaded = new Set(); // contains each x/y tile id that has been loaded
+    // each request to the Overpass API loads a batch of tiles, see the top
+    this.batches = new Set();
+    this.trackPoint = new THREE.Vector2(); // horizontal position of the tracked element, to unload batches
+    this.queue = []; // tile batches waiting to be loaded
+    this.activeRequests = 0; // number of tile batches being loaded
+    this.pausedUntil = 0; // time until which no new tiles are loaded after a failure, from performance.now()
+    this.terrain = null; // osm-terrain system, if available
+    this.lastLayout = 0;
+    this.cameraPosition = new THREE.Vector3();
+    this.cameraQuaternion = new THREE.Quaternion();
+  },
+
+  // Create an empty tile batch, which loadTilesAround fills with tiles
+  createBatch: function() {
+    return {tiles: [], box: null, entity: null, origin: null};
+  },
+
+  // Unload everything and start loading tiles around lat, lon
+  update: function () {
+    this.trackElement = null;
+    this.trackPosition = null;
+    for (let batch of this.batches) {
+      this.unloadBatch(batch);
+    }
+    this.queue = [];
+    this.pausedUntil = 0;
+
+    this.origin = {lat: this.data.lat, lon: this.data.lon};
+    this.el.sceneEl.systems['osm-geo'].setOrigin(this.origin.lat, this.origin.lon);
+    this.tileSize_m = osmGeo.lat2tileWidth_m(this.origin.lat, this.data.zoom);
+    this.tileBase = osmGeo.latlon2fractionalTileId(this.origin.lat, this.origin.lon, this.data.zoom);
+    let terrain = this.el.sceneEl.systems['osm-terrain'];
+    this.terrain = terrain && terrain.data.enabled ? terrain : null;
+
+    this.loadTilesAround(new THREE.Vector3(0, 0, 0));
+
+    if (this.data.trackId) {
+      let element = document.getElementById(this.data.trackId);
+      if (element && element.object3D) {
+        this.trackElement = element;
+        this.trackPosition = new THREE.Vector3();
+      }
+    }
+  },
+
+  // Load and unload tiles around the tracked element, and lay out the content for the camera
+  tick: function (time) {
+    if (this.trackElement) {
+      this.trackElement.object3D.getWorldPosition(this.trackPosition);
+      this.loadTilesAround(this.trackPosition);
+      this.unloadTilesOutside(this.trackPosition);
+    }
+    let camera = this.el.sceneEl.camera;
+    if (!camera) {
+      return;
+    }
+    camera.getWorldPosition(this.cameraPosition);
+    camera.getWorldQuaternion(this.cameraQuaternion);
+    if (time - this.lastLayout > this.LAYOUT_INTERVAL_MS) {
+      this.lastLayout = time;
+      this.layout(camera);
+    }
+    this.faceCamera();
+  },
+
+  // Load the elements of a tile batch and add them with the component's addElements
+  requestBatch: function(batch) {
+    batch.origin = this.origin;
+    let bbox = this.tiles2bbox(batch.tiles);
+    Promise.all([this.loadOSMbuildingsBbox(bbox), this.loadTerrain(bbox)]).then(([data]) => {
+      this.onBatchDone();
+      if (batch.origin !== this.origin && this.batches.has(batch)) {
+        this.unloadBatch(batch); // built for the old origin, load it again
+      } else if (this.batches.has(batch)) { // skip batches unloaded or reset while loading
+        batch.entity = this.addElements(data.elements, batch);
+      }
+    }, (error) => {
+      this.onBatchDone();
+      if (this.batches.has(batch)) {
+        console.warn(`${this.name}: failed to load tiles`, error);
+        this.unloadBatch(batch);
+        this.pausedUntil = performance.now() + this.FAILURE_PAUSE_MS;
+      }
+    });
+  },
+
+  // Remove a tile batch and its elements and forget them, so they get loaded again when needed
+  unloadBatch: function(batch) {
+    this.batches.delete(batch);
+    for (let [x, y] of batch.tiles) {
+      this.tilesLoaded.delete(`${x}/${y}`);
+    }
+    this.forgetBatch(batch);
+    if (batch.entity) {
+      batch.entity.parentNode.removeChild(batch.entity);
+    }
+  },
+
+  // Check if all tiles within the default radius around the given position are fully loaded
+  // otherwise load the missing ones as a single bounding box
+  // pos is the position in meters on the Aframe plane, we ignore the height
+  loadTilesAround: function(pos) {
+    if (this.data.radius_m <= 0 || performance.now() < this.pausedUntil) {
+      return;
+    }
+    let tileX = this.tileBase[0] + pos.x / this.tileSize_m;
+    let tileY = this.tileBase[1] + pos.z / this.tileSize_m;
+
+    let radius = this.data.radius_m / this.tileSize_m;
+    let nTiles = 2 ** this.data.zoom;
+    let startX = Math.floor(tileX - radius);
+    let startY = Math.max(0, Math.floor(tileY - radius));
+    let endX = Math.ceil(tileX + radius);
+    let endY = Math.min(nTiles, Math.ceil(tileY + radius));
+    // using modulo for horizontal axis to wrap around the date line
+    startX = (startX + nTiles) % nTiles;
+    endX = (endX + nTiles) % nTiles;
+    // console.log(startX, startY, endX, endY);
+    
+    let batch = this.createBatch();
+    for (let y = startY; y < endY; y++) {
+      for (let x = startX; x < endX; x++) {
+        let xy = `${x}/${y}`;
+        if (!this.tilesLoaded.has(xy)) {
+          batch.tiles.push([x, y]);
+          this.tilesLoaded.add(xy); // mark tile as loaded BEFORE the request to avoid multiple requests
+        }
+      }
+    }
+
+    if (batch.tiles.length > 0) {
+      batch.box = this.tiles2box(batch.tiles);
+      this.batches.add(batch);
+      this.loadBatch(batch);
+    }
+  },
+
+  // Unload all tile batches that are completely outside the unload radius around the given position
+  // pos is the position in meters on the Aframe plane, we ignore the height
+  unloadTilesOutside: function(pos) {
+    if (this.data.unloadRadius_m <= 0) {
+      return;
+    }
+    this.trackPoint.set(pos.x, pos.z);
+    for (let batch of this.batches) {
+      if (batch.box.distanceToPoint(this.trackPoint) > this.data.unloadRadius_m) {
+        this.unloadBatch(batch);
+      }
+    }
+  },
+
+  // Compute the bounding box of the given [x, y] tiles in meters on the Aframe plane, as Box2 of x and z
+  tiles2box: function(tiles) {
+    let box = new THREE.Box2();
+    for (let [x, y] of tiles) {
+      // tile corners in meters on the Aframe plane, the tile's x,y map to the plane's x,z
+      box.expandByPoint(new THREE.Vector2(
+        (x - this.tileBase[0]) * this.tileSize_m, (y - this.tileBase[1]) * this.tileSize_m));
+      box.expandByPoint(new THREE.Vector2(
+        (x + 1 - this.tileBase[0]) * this.tileSize_m, (y + 1 - this.tileBase[1]) * this.tileSize_m));
+    }
+    return box;
+  },
+
+  // Move the origin of the plane by shift (Vector3 in meters, using x and z), called by the osm-origin system
+  // Loaded entities are moved, and scaled horizontally for the latitude of the new origin; batches that are loading
+  // were built for the old origin, so they're dropped when they arrive and loaded again
+  // entities are the children of the element by default, returns the scale for components that move more
+  rebase: function(shift, entities = this.el.children) {
+    let [lon, lat] = this.plane2coords(shift.x, -shift.z);
+    let scale = Math.cos(lat * Math.PI / 180) / Math.cos(this.origin.lat * Math.PI / 180);
+    this.origin = {lat: lat, lon: lon};
+    this.tileSize_m = osmGeo.lat2tileWidth_m(lat, this.data.zoom);
+    this.tileBase = osmGeo.latlon2fractionalTileId(lat, lon, this.data.zoom);
+    for (let entity of entities) {
+      let position = entity.object3D.position;
+      position.x = (position.x - shift.x) * scale;
+      position.z = (position.z - shift.z) * scale;
+      entity.object3D.scale.x *= scale;
+      entity.object3D.scale.z *= scale;
+    }
+    for (let batch of this.batches) {
+      batch.box = this.tiles2box(batch.tiles);
+    }
+    return scale;
+  },
+
+  // Compute the bounding box of the given [x, y] tiles in [south,west,north,east] degrees
+  tiles2bbox: function(tiles) {
+    let bboxSWNE = [90, 180, -90, -180];
+    for (let [x, y] of tiles) {
+      let bbox = osmGeo.tile2bbox(x, y, this.data.zoom);
+      bboxSWNE[0] = Math.min(bboxSWNE[0], bbox[0]);
+      bboxSWNE[1] = Math.min(bboxSWNE[1], bbox[1]);
+      bboxSWNE[2] = Math.max(bboxSWNE[2], bbox[2]);
+      bboxSWNE[3] = Math.max(bboxSWNE[3], bbox[3]);
+    }
+    return bboxSWNE;
+  },
+
+  // Queue a tile batch for loading, at most maxRequests batches are loaded at the same time
+  loadBatch: function(batch) {
+    this.queue.push(batch);
+    this.loadNextBatches();
+  },
+
+  // Start loading queued batches while there are less than maxRequests being loaded
+  loadNextBatches: function() {
+    while (this.activeRequests < this.data.maxRequests && this.queue.length > 0) {
+      let batch = this.queue.shift();
+      if (this.batches.has(batch)) { // skip batches unloaded while waiting
+        this.activeRequests++;
+        this.requestBatch(batch);
+      }
+    }
+  },
+
+  // Continue with the queue when a request finished, whether it succeeded or not
+  onBatchDone: function() {
+    this.activeRequests--;
+    this.loadNextBatches();
+  },
+
+  // Load OSM data with the component's overpassQuery for the bounding box
+  // bboxArray is an array with [south,west,north,east] in degrees
+  // Failed requests are retried with increasing delay, or as requested by the server's Retry-After header
+  // Throws an error if the request still fails after all retries
+  loadOSMbuildingsBbox: async function(bboxArray) {
+    let bbox = bboxArray.join(',');
+    let overpassQuery = this.overpassQuery().replaceAll('{{bbox}}', bbox);
+
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      try {
+        response = await fetch(
+            this.data.overpassUrl,
+            {
+                method: "POST",
+                body: "data="+ encodeURIComponent(overpassQuery)
+            }
+        );
+      } catch (error) {
+        // network error, retry like a server error
+      }
+      if (response && response.ok) {
+        let data = await response.json();
+        // console.log(data);
+        return data;
+      }
+      let status = response ? response.status : 'network error';
+      // 429: too many requests, 502-504: server overloaded or timeout
+      let isTemporary = !response || [429, 502, 503, 504].includes(response.status);
+      if (!isTemporary || attempt >= this.data.retries) {
+        throw new Error(`Overpass request failed (${status})`);
+      }
+      // Retry-After is only readable if the server exposes it for cross-origin requests
+      let delay_s = response && parseFloat(response.headers.get('Retry-After'));
+      if (!(delay_s > 0)) {
+        delay_s = this.RETRY_DELAY_S * 2 ** attempt;
+      }
+      await new Promise(resolve => setTimeout(resolve, delay_s * 1000));
+    }
+  },
+
+  // Load the terrain elevation for the bounding box [south,west,north,east] and the origin, if there's osm-terrain
+  loadTerrain: async function(bboxSWNE) {
+    if (this.terrain) {
+      await Promise.all([this.terrain.load(...bboxSWNE), this.terrain.getElevation(this.data.lat, this.data.lon)]);
+    }
+  },
+
+  // Get the height of the terrain in meters relative to the elevation at lat, lon, 0 without osm-terrain
+  // coords is a path of [lon, lat] positions, its lowest point is used so buildings don't float on slopes
+  terrainHeight: function(coords) {
+    if (!this.terrain) {
+      return 0;
+    }
+    let lowest = Infinity;
+    for (let [lon, lat] of coords) {
+      let elevation = this.terrain.elevationAt(lat, lon);
+      if (elevation !== null) {
+        lowest = Math.min(lowest, elevation);
+      }
+    }
+    let base = this.terrain.elevationAt(this.data.lat, this.data.lon);
+    return lowest == Infinity || base === null ? 0 : lowest - base;
+  },
+
+  // Convert a position in meters on the plane back into [lon, lat] geocoordinates, see osm-geojson's geojsonCoords2plane
+  plane2coords: function(x_m, y_m) {
+    let [lat, lon] = osmGeo.plane2latlon(x_m, -y_m, this.origin.lat, this.origin.lon);
+    return [lon, lat];
+  }
+};
@@ -24,6 +24,7 @@
 // 2^zoom - 1 +-----------+-----------+
 //
 // * Plane coordinates (x, y) in meters, we take the start lat/lon as origin (0,0)
+//   The conversions between these are shared with the other components in osm-geo.js
 //      -inf                  inf
 // -inf +-----------+-----------+
 //      |           |   0,-1    |
@@ -32,6 +33,33 @@
 //      |           |           |
 //      |           |           |
 //  inf +-----------+-----------+
+//
+// Level of detail: with rings > 0, each ring around the full zoom area uses the next coarser zoom level
+// and covers twice the radius of the previous one, so the horizon isn't empty when flying high.
+// Coarser tiles that are fully covered by finer ones are not shown, partly covered ones lie slightly below.
+// Tiles outside the radius are removed again, the radius grows with the tracked element's height (altitudeFactor).
+//
+// Tile urls: url is a template with the placeholders {z}, {x} and {y} of the tile, {-y} for services that count
+// rows from the south (TMS), {s} for one of the subdomains, chosen by the tile so browsers can load tiles in parallel,
+// and {r} for @2x (or another pixelRatio) on services with high resolution tiles. API keys are part of the template.
+// A url without placeholders is the base url of the tile server, which gets {z}/{x}/{y}.png appended.
+// Tiles beyond maxNativeZoom show their part of the image at that zoom level, for services with fewer zoom levels.
+//
+// Attribution: the attribution of the tile service, which is shown in the corner of the page and at the bottom of
+// the view in VR, where the page isn't visible. It may contain HTML links, set it from javascript if it contains
+// semicolons. Set it to an empty string to show it elsewhere.
+//
+// Vector tiles: with vectorUrl, Mapbox Vector Tiles are loaded instead of the images, e.g. from your own tile server
+// or a directory of z/x/y.pbf files, and drawn with the JSON style vectorStyle (see osm-mvt.js, include it before).
+// vectorMode canvas draws them into textures of vectorResolution pixels, geometry creates flat meshes of the roads,
+// water and landuse areas instead (with osm-terrain, tiles use canvas, as the meshes can't follow the terrain).
+// Tiles are only loaded up to vectorMaxZoom, finer tiles show the clipped part of the tile at that zoom level.
+// vectorStyle is a style object or its JSON, or the url of a JSON file; set objects from javascript:
+// el.setAttribute('osm-tiles', 'vectorStyle', {background: '#eee', layers: [...]})
+//
+// If the osm-cache system is included, tile images are loaded from and stored in its persistent cache.
+// If the osm-origin system is included, the origin moves with the user, see rebase.
+// If the osm-terrain system is included, tiles are displaced into height fields, relative to the elevation at lat/lon.
 
 
 AFRAME.registerComponent('osm-tiles', {
@@ -41,12 +69,44 @@ AFRAME.registerComponent('osm-tiles', {
     radius_m: {type: 'number', default: 500},
     zoom: {type: 'number', default: 17},
     trackId: {type: 'string'}, // component's id whose position we track for dynamic tile loading
-    url: {type: 'string', default: 'https://tile.openstreetmap.org/'} // tileServer base url
+    rings: {type: 'number', default: 0}, // number of rings with coarser zoom levels around the full zoom area
+    altitudeFactor: {type: 'number', default: 0}, // extend radius_m by this factor times the tracked height
+    url: {type: 'string', default: 'https://tile.openstreetmap.org/'}, // tile url template or tileServer base url
+    subdomains: {type: 'array', default: ['a', 'b', 'c']}, // values of {s} in url
+    pixelRatio: {type: 'number', default: 1}, // pixels per tile pixel of the images, {r} in url is @2x for 2
+    maxNativeZoom: {type: 'number', default: Infinity}, // highest zoom level the tile service has images for
+    attribution: {type: 'string',
+      default: '&copy; <a href="https://www.openstreetmap.org/copyright" target="_blank">OpenStreetMap</a> contributors'},
+    // url of vector tiles like url, or of a directory with z/x/y.pbf files, instead of the images
+    vectorUrl: {type: 'string'},
+    vectorStyle: { // style object, its JSON or a url, the default is osmMvt.DEFAULT_STYLE
+      default: '',
+      parse: function(value) {
+        return typeof value == 'string' && value.trim().startsWith('{') ? JSON.parse(value) : value;
+      },
+      stringify: function(value) {
+        return typeof value == 'string' ? value : JSON.stringify(value);
+      }
+    },
+    vectorMode: {type: 'string', default: 'canvas', oneOf: ['canvas', 'geometry']},
+    vectorResolution: {type: 'number', default: 1024}, // width and height of the canvas textures in pixels
+    vectorMaxZoom: {type: 'number', default: 14} // highest zoom level of the vector tiles
   },
 
   init: function () {
     // console.log(this.data);
-    this.tilesLoaded = new Set(); // contains each x,y tile id that has been added
+    this.tilesLoaded = new Map(); // maps each zoom/x/y tile id that has been added to its tile element
+    this.RING_OFFSET_M = 0.1; // vertical distance between rings, to avoid z-fighting of overlapping tiles
+    this.cache = null; // osm-cache system, if available
+    this.terrain = null; // osm-terrain system, if available
+    this.TERRAIN_SEGMENTS = 16; // number of height field segments along each side of a tile
+    this.VECTOR_CACHE_SIZE = 16; // number of decoded vector tiles kept, overzoomed tiles share them
+    this.vectorTiles = new Map(); // maps vector tile urls to promises of their decoded layers, least recent first
+    this.vectorStyle = null; // promise of the style for vector tiles
+    this.vectorMaterial = new THREE.MeshStandardMaterial({vertexColors: true, roughness: 1, metalness: 0,
+      side: THREE.DoubleSide});
+    this.attributionDiv = null; // attribution on the page
+    this.attributionEl = null; // attribution in VR, in front of the camera
   },
   
   // recreate the tiles layer
@@ -55,11 +115,22 @@ AFRAME.registerComponent('osm-tiles', {
       this.trackElement = null;
       this.trackPosition = null;
       // reset the layer
-      this.el.innerHTML = '';
+      for (let tile of this.tilesLoaded.values()) {
+        this.removeTile(tile);
+      }
       this.tilesLoaded.clear();
+      this.lastPosition = null;
 
-      this.tileSize_m = this.lat2tileWidth_m(this.data.lat, this.data.zoom);
-      this.tileBase = this.latlon2fractionalTileId(this.data.lat, this.data.lon);
+      this.el.sceneEl.systems['osm-geo'].setOrigin(this.data.lat, this.data.lon);
+      this.tileSize_m = osmGeo.lat2tileWidth_m(this.data.lat, this.data.zoom);
+      this.tileBase = osmGeo.latlon2fractionalTileId(this.data.lat, this.data.lon, this.data.zoom);
+      let cache = this.el.sceneEl.systems['osm-cache'];
+      this.cache = cache && cache.data.enabled ? cache : null;
+      let terrain = this.el.sceneEl.systems['osm-terrain'];
+      this.terrain = terrain && terrain.data.enabled ? terrain : null;
+      this.vectorTiles.clear();
+      this.vectorStyle = this.data.vectorUrl ? this.loadVectorStyle() : null;
+      this.updateAttribution();
       this.loadTilesAround(new THREE.Vector3(0, 0, 0));
 
       // if trackId attribute is given, keep track of the element's position
@@ -73,69 +144,396 @@ AFRAME.registerComponent('osm-tiles', {
     }
   },
 
+  remove: function () {
+    this.removeAttribution();
+  },
+
   tick: function () {
     if (this.trackElement) {
       // use world position to support movement of both head and rig
       this.trackElement.object3D.getWorldPosition(this.trackPosition);
       this.loadTilesAround(this.trackPosition);
     }
+    if (this.attributionEl) {
+      // the camera may be replaced, e.g. when the scene sets up its default camera
+      let camera = this.el.sceneEl.camera;
+      if (camera && camera.el && this.attributionEl.parentNode !== camera.el) {
+        camera.el.appendChild(this.attributionEl);
+      }
+      this.attributionEl.object3D.visible = this.el.sceneEl.is('vr-mode');
+    }
   },
 
-  // Convert latitude to width in meters for given zoom level
-  lat2tileWidth_m: function(lat, zoom) {
-    const EQUATOR_M = 40075017; // equatorial circumference in meters
-    let nTiles = 2 ** zoom;
-    let circumference_m = EQUATOR_M * Math.cos(lat * Math.PI / 180);
-    return circumference_m / nTiles;
+  // Show the attribution on the page and create its overlay for VR, or remove both without attribution
+  updateAttribution: function() {
+    if (!this.data.attribution) {
+      this.removeAttribution();
+      return;
+    }
+    if (!this.attributionDiv) {
+      this.attributionDiv = document.createElement('div');
+      this.attributionDiv.style.cssText = 'position: fixed; bottom: 0; right: 0; z-index: 10; padding: 2px 4px;'
+        + 'background: rgba(255, 255, 255, 0.7); font: 0.75em sans-serif;';
+      document.body.appendChild(this.attributionDiv);
+      // the text component fits the plane's height to the text, as it's set to 0
+      this.attributionEl = document.createElement('a-entity');
+      this.attributionEl.setAttribute('geometry', {primitive: 'plane', width: 0.5, height: 0});
+      this.attributionEl.setAttribute('material', {color: '#000', opacity: 0.5, transparent: true, shader: 'flat'});
+      this.attributionEl.setAttribute('text', {color: '#fff', align: 'center', width: 0.45, wrapCount: 50,
+        baseline: 'center', zOffset: 0.001});
+      this.attributionEl.setAttribute('position', {x: 0, y: -0.3, z: -0.8});
+    }
+    this.attributionDiv.innerHTML = this.data.attribution;
+    // VR shows the text of the HTML, without links and with entities like &copy; decoded
+    this.attributionEl.setAttribute('text', 'value', this.attributionDiv.textContent);
   },
 
-  // Convert geocoordinates to tile coordinates for given zoom level
-  // Returns floating point values where
-  // * the integer part is the tile id
-  // * the fractional part is the position within the tile
-  latlon2fractionalTileId: function(lat, lon) {
-    let nTiles = 2 ** this.data.zoom;
-    let latRad = lat * Math.PI / 180;
-    let x = nTiles * (lon + 180) / 360;
-    let y = nTiles * (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2;
-    return [x, y];
+  // Remove the attribution from the page and from VR
+  removeAttribution: function() {
+    for (let element of [this.attributionDiv, this.attributionEl]) {
+      if (element && element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+    }
+    this.attributionDiv = null;
+    this.attributionEl = null;
   },
 
   // Create an Aframe plane with a given tile's image url, and size and position in meters
   // The plane position sets x,y although Aframe uses x,z for 3D, so needs to be rotated later
-  createTile: function(x_m, y_m, url) {
-    // console.log(x_m, y_m, url, this.tileSize_m);  
+  // z_m moves the plane up or down after rotation, to put coarser tiles below finer ones
+  createTile: function(x_m, y_m, url, size_m = this.tileSize_m, z_m = 0) {
+    // console.log(x_m, y_m, url, size_m);
     let tile = document.createElement('a-plane');
-    tile.setAttribute('src', url);
-    tile.setAttribute('width', this.tileSize_m);
-    tile.setAttribute('height', this.tileSize_m);
-    tile.setAttribute('position', {x: x_m, y: y_m, z: 0});
+    if (url) {
+      tile.setAttribute('src', url);
+    }
+    tile.setAttribute('width', size_m);
+    tile.setAttribute('height', size_m);
+    tile.setAttribute('position', {x: x_m, y: y_m, z: z_m});
     return tile;
   },
 
   // Create an OpenStreetMap tile for given x,y tile coordinates and zoom level
   // Example url for Berlin center at zoom level 14: https://tile.openstreetmap.org/14/8802/5373.png
-  // tileSize_m sets the width and length of the tile in meters
+  // tileSize_m sets the width and length of the tile in meters at the component's zoom level
   //  for real-world size this depends on the zoom level and the latitude of the origin
+  //  tiles of coarser zoom levels are larger by a factor of 2 per level
   // tileBase is the (0,0) origin of the Aframe plane in tile coordinates [x,y]
   //  e.g. [8802.5, 5373.5] for the middle of the Berlin center tile at zoom level 14
-  loadTile: function(x, y) {
-    let url = this.data.url + `${this.data.zoom}/${x}/${y}.png`;
-    let x_m = (x - this.tileBase[0] + 0.5) * this.tileSize_m;
-    let y_m = (y - this.tileBase[1] + 0.5) * this.tileSize_m;
-    let tile = this.createTile(x_m, -y_m, url);
+  loadTile: function(x, y, zoom = this.data.zoom) {
+    let [x_m, y_m, size_m] = this.tile2plane(x, y, zoom);
+    let z_m = (zoom - this.data.zoom) * this.RING_OFFSET_M;
+    if (this.data.vectorUrl) {
+      let tile = this.createTile(x_m, -y_m, '', size_m, z_m);
+      this.renderVectorTile(tile, x, y, zoom).catch(error => {
+        console.warn('osm-tiles: failed to render vector tile', `${zoom}/${x}/${y}`, error);
+        // drop the decoded tile, so it's loaded again instead of failing the same way next time
+        let [nativeX, nativeY, nativeZoom] = this.nativeTile(x, y, zoom, this.data.vectorMaxZoom);
+        this.vectorTiles.delete(this.vectorTileUrl(nativeX, nativeY, nativeZoom));
+      });
+      if (this.terrain) {
+        this.displaceTile(tile, x, y, zoom);
+      }
+      return tile;
+    }
+    // beyond maxNativeZoom, the texture shows the tile's part of the image at that zoom level
+    let [nativeX, nativeY, nativeZoom, area] = this.nativeTile(x, y, zoom, this.data.maxNativeZoom);
+    let url = this.tileUrl(nativeX, nativeY, nativeZoom);
+    // with cache, the image is set once it's loaded
+    let tile = this.createTile(x_m, -y_m, this.cache ? '' : url, size_m, z_m);
+    if (nativeZoom < zoom) {
+      // texture coordinates start in the south west corner
+      tile.setAttribute('material', {repeat: {x: area[2], y: area[2]}, offset: {x: area[0], y: 1 - area[1] - area[2]}});
+    }
     // let tile = this.createTile(x_m / this.tileSize_m, -y_m / this.tileSize_m, url, 1, 1);
+    if (this.cache) {
+      this.fetchImage(url).then((blob) => {
+        if (tile.parentNode) { // skip tiles removed while loading
+          tile.setAttribute('src', blob ? URL.createObjectURL(blob) : url);
+        }
+      });
+    }
+    if (this.terrain) {
+      this.displaceTile(tile, x, y, zoom);
+    }
     return tile;
   },
 
-  // Check if all tiles within the default radius around the given position are loaded, load if not
-  // pos is the position in meters on the Aframe plane, we ignore the height
-  loadTilesAround: function(pos) {
-    let tileX = this.tileBase[0] + pos.x / this.tileSize_m;
-    let tileY = this.tileBase[1] + pos.z / this.tileSize_m;
+  // Replace a tile's plane with a height field of the terrain, once the elevation and the tile are loaded
+  // The tile gets its own geometry, as Aframe shares the geometry between planes of equal size
+  // The tile's plane is rotated with the component, so its local z axis points up
+  displaceTile: async function(tile, x, y, zoom) {
+    // coarser tiles use coarser DEM tiles, so the rings don't need many of them
+    let demZoom = Math.min(this.terrain.data.zoom, zoom);
+    let [north, west] = osmGeo.tileId2latlon(x, y, zoom);
+    let [south, east] = osmGeo.tileId2latlon(x + 1, y + 1, zoom);
+    let [base] = await Promise.all([this.terrain.getElevation(this.data.lat, this.data.lon),
+      this.terrain.load(south, west, north, east, demZoom)]);
+    if (!tile.parentNode) {
+      return; // tile removed while loading
+    }
+    if (!tile.hasLoaded) {
+      await new Promise(resolve => tile.addEventListener('loaded', resolve, {once: true}));
+    }
+    let size = tile.getAttribute('width');
+    let geometry = new THREE.PlaneGeometry(size, size, this.TERRAIN_SEGMENTS, this.TERRAIN_SEGMENTS);
+    let position = geometry.getAttribute('position');
+    for (let i = 0; i < position.count; i++) {
+      // plane vertices go from -size/2 to size/2, with y pointing north
+      let [lat, lon] = osmGeo.tileId2latlon(x + position.getX(i) / size + 0.5, y + 0.5 - position.getY(i) / size, zoom);
+      let elevation = this.terrain.elevationAt(lat, lon, demZoom);
+      position.setZ(i, elevation === null || base === null ? 0 : elevation - base);
+    }
+    geometry.computeVertexNormals();
+    tile.getObject3D('mesh').geometry = geometry;
+    tile.terrainGeometry = geometry; // to dispose it when the tile is removed
+  },
+
+  // Draw a vector tile into a canvas texture of the tile, or add its meshes to the tile in geometry mode
+  // Tiles beyond vectorMaxZoom show their part of the tile at that zoom level
+  renderVectorTile: async function(tile, x, y, zoom) {
+    let [nativeX, nativeY, nativeZoom, area] = this.nativeTile(x, y, zoom, this.data.vectorMaxZoom);
+    let [style, layers] = await Promise.all([this.vectorStyle,
+      this.fetchVectorTile(this.vectorTileUrl(nativeX, nativeY, nativeZoom))]);
+    if (!tile.parentNode) {
+      return; // tile removed while loading
+    }
+    if (!tile.hasLoaded) {
+      await new Promise(resolve => tile.addEventListener('loaded', resolve, {once: true}));
+    }
+    let size_m = tile.getAttribute('width');
+    let material = tile.getObject3D('mesh').material;
+    if (this.data.vectorMode == 'geometry' && !this.terrain) {
+      material.color.set(style.background || '#fff');
+      let geometry = osmMvt.buildGeometry(layers, style, zoom, area, size_m);
+      if (geometry) {
+        tile.setObject3D('vector', new THREE.Mesh(geometry, this.vectorMaterial));
+        tile.vectorGeometry = geometry; // to dispose it when the tile is removed
+      }
+    } else {
+      let canvas = document.createElement('canvas');
+      canvas.width = canvas.height = this.data.vectorResolution;
+      osmMvt.drawCanvas(canvas, layers, style, zoom, area, size_m / canvas.width);
+      let texture = new THREE.CanvasTexture(canvas);
+      texture.colorSpace = THREE.SRGBColorSpace;
+      // keep the texture sharp when looking at the ground at a flat angle
+      texture.anisotropy = this.el.sceneEl.renderer.capabilities.getMaxAnisotropy();
+      material.map = texture;
+      material.needsUpdate = true;
+      tile.vectorTexture = texture; // to dispose it when the tile is removed
+    }
+  },
+
+  // Get the tile [x, y, zoom, area] at most at maxZoom that contains a tile, i.e. the tile itself up to maxZoom
+  // area [x, y, size] is the part of the returned tile covered by the tile, as fractions from its north west corner
+  nativeTile: function(x, y, zoom, maxZoom) {
+    let nativeZoom = Math.max(0, Math.min(zoom, maxZoom));
+    let scale = 2 ** (zoom - nativeZoom);
+    let nativeX = Math.floor(x / scale);
+    let nativeY = Math.floor(y / scale);
+    return [nativeX, nativeY, nativeZoom, [x / scale - nativeX, y / scale - nativeY, 1 / scale]];
+  },
 
-    let radius = this.data.radius_m / this.tileSize_m;
-    let nTiles = 2 ** this.data.zoom;
+  // Get the url of a vector tile from vectorUrl, a template like url or a directory
+  vectorTileUrl: function(x, y, zoom) {
+    return this.fillTemplate(this.data.vectorUrl, x, y, zoom, '.pbf');
+  },
+
+  // Get the decoded layers of a vector tile, empty if it can't be loaded
+  // The last decoded tiles are kept, as the tiles of higher zoom levels and of the rings share them
+  fetchVectorTile: function(url) {
+    let layers = this.vectorTiles.get(url);
+    if (layers) {
+      this.vectorTiles.delete(url); // move to the end, as most recently used
+    } else {
+      layers = this.fetchVectorData(url).then(buffer => {
+        if (!buffer) {
+          this.vectorTiles.delete(url); // try again next time
+          return {};
+        }
+        try {
+          return osmMvt.decode(buffer);
+        } catch (error) {
+          console.warn('osm-tiles: failed to decode vector tile', url, error);
+          return {};
+        }
+      });
+    }
+    this.vectorTiles.set(url, layers);
+    while (this.vectorTiles.size > this.VECTOR_CACHE_SIZE) {
+      this.vectorTiles.delete(this.vectorTiles.keys().next().value);
+    }
+    return layers;
+  },
+
+  // Load a vector tile as ArrayBuffer, with osm-cache if available; returns null if it can't be loaded
+  fetchVectorData: async function(url) {
+    let blob = null;
+    if (this.cache) {
+      blob = await this.fetchImage(url);
+    } else {
+      try {
+        let response = await fetch(url);
+        blob = response.ok ? await response.blob() : null;
+      } catch (error) {
+        blob = null;
+      }
+    }
+    if (!blob) {
+      return null;
+    }
+    let buffer = await blob.arrayBuffer();
+    // files exported from mbtiles are often gzipped, which the server doesn't decode when it doesn't know
+    let bytes = new Uint8Array(buffer, 0, Math.min(2, buffer.byteLength));
+    if (bytes[0] == 0x1f && bytes[1] == 0x8b) {
+      buffer = await new Response(blob.stream().pipeThrough(new DecompressionStream('gzip'))).arrayBuffer();
+    }
+    return buffer;
+  },
+
+  // Load the style of the vector tiles: vectorStyle's object, or the JSON file at its url, or the default style
+  loadVectorStyle: async function() {
+    let style = this.data.vectorStyle;
+    if (style && typeof style == 'string') {
+      try {
+        let response = await fetch(style);
+        if (!response.ok) {
+          throw new Error(`${response.status} ${response.statusText}`);
+        }
+        return await response.json();
+      } catch (error) {
+        console.warn('osm-tiles: failed to load vector style, using the default', style, error);
+      }
+    }
+    return style && typeof style == 'object' ? style : osmMvt.DEFAULT_STYLE;
+  },
+
+  // Get the center of a tile in meters on the plane and its size in meters, for given tile coordinates and zoom level
+  tile2plane: function(x, y, zoom) {
+    let scale = 2 ** (this.data.zoom - zoom);
+    let x_m = ((x + 0.5) * scale - this.tileBase[0]) * this.tileSize_m;
+    let y_m = ((y + 0.5) * scale - this.tileBase[1]) * this.tileSize_m;
+    return [x_m, y_m, this.tileSize_m * scale];
+  },
+
+  // Move the origin of the plane by shift (Vector3 in meters, using x and z), called by the osm-origin system
+  // The tile size is updated for the latitude of the new origin, so the map keeps its real-world size;
+  // loaded tiles are moved and scaled to fit the new origin instead of being loaded again
+  rebase: function(shift) {
+    let tileX = this.tileBase[0] + shift.x / this.tileSize_m;
+    let tileY = this.tileBase[1] + shift.z / this.tileSize_m;
+    let [lat, lon] = osmGeo.tileId2latlon(tileX, tileY, this.data.zoom);
+    this.tileSize_m = osmGeo.lat2tileWidth_m(lat, this.data.zoom);
+    this.tileBase = [tileX, tileY];
+    for (let [id, tile] of this.tilesLoaded) {
+      let [zoom, x, y] = id.split('/').map(Number);
+      let [x_m, y_m, size_m] = this.tile2plane(x, y, zoom);
+      tile.object3D.position.x = x_m;
+      tile.object3D.position.y = -y_m;
+      // the tile's width is its size when it was created
+      tile.object3D.scale.setScalar(size_m / tile.getAttribute('width'));
+      tile.object3D.scale.z = 1;
+    }
+    this.lastPosition = null;
+  },
+
+  // Get the image url of a tile
+  tileUrl: function(x, y, zoom) {
+    return this.fillTemplate(this.data.url, x, y, zoom, '.png');
+  },
+
+  // Replace the placeholders of a url template with the values for a tile, see the description at the top
+  // A url without placeholders is a base url, which gets zoom/x/y and extension appended
+  fillTemplate: function(template, x, y, zoom, extension) {
+    if (!/{-?[xyz]}/.test(template)) {
+      template += (template.endsWith('/') ? '' : '/') + '{z}/{x}/{y}' + extension;
+    }
+    let subdomains = this.data.subdomains;
+    let values = {
+      z: zoom, x: x, y: y, '-y': 2 ** zoom - 1 - y,
+      // the same tile always uses the same subdomain, so it's cached by the browser
+      s: subdomains.length ? subdomains[(x + y) % subdomains.length] : '',
+      r: this.data.pixelRatio > 1 ? `@${this.data.pixelRatio}x` : ''
+    };
+    return template.replace(/{(-?\w+)}/g, (placeholder, name) => values.hasOwnProperty(name) ? values[name] : placeholder);
+  },
+
+  // Get a tile image (or vector tile) as blob from the cache, or from the tile server and store it in the cache
+  // Returns null if the image can't be loaded, e.g. when offline
+  fetchImage: async function(url) {
+    try {
+      let blob = await this.cache.get(url);
+      if (!blob) {
+        let response = await fetch(url);
+        if (!response.ok) {
+          return null;
+        }
+        blob = await response.blob();
+        await this.cache.put(url, blob, blob.size);
+      }
+      return blob;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  // Remove a tile from the scene
+  // Aframe disposes the tile's texture, but keeps the image in its cache unless we drop it explicitly
+  // The cache is internal to Aframe's material system, so it's only dropped if this version has it
+  removeTile: function(tile) {
+    let src = tile.getAttribute('src');
+    if (src) {
+      let materialSystem = this.el.sceneEl.systems.material;
+      if (materialSystem && materialSystem.sourceCache && typeof materialSystem.hash == 'function') {
+        delete materialSystem.sourceCache[materialSystem.hash(src)];
+      }
+      if (src.startsWith('blob:')) {
+        URL.revokeObjectURL(src);
+      }
+    }
+    if (tile.terrainGeometry) {
+      tile.terrainGeometry.dispose();
+    }
+    if (tile.vectorGeometry) {
+      tile.vectorGeometry.dispose();
+    }
+    if (tile.vectorTexture) {
+      tile.vectorTexture.dispose();
+    }
+    tile.parentNode.removeChild(tile);
+  },
+
+  // Load the tiles within the bounding box into the cache of the osm-cache system, for the zoom levels of all rings
+  prefetch: async function(south, west, north, east) {
+    if (!this.cache) {
+      return;
+    }
+    let [startX, startY] = osmGeo.latlon2fractionalTileId(north, west, this.data.zoom);
+    let [endX, endY] = osmGeo.latlon2fractionalTileId(south, east, this.data.zoom);
+    let minZoom = Math.max(0, this.data.zoom - this.data.rings);
+    for (let zoom = this.data.zoom; zoom >= minZoom; zoom--) {
+      let scale = 2 ** (this.data.zoom - zoom);
+      for (let y = Math.floor(startY / scale); y <= Math.floor(endY / scale); y++) {
+        for (let x = Math.floor(startX / scale); x <= Math.floor(endX / scale); x++) {
+          // tiles beyond the native zoom levels share their tile at that level, which is only loaded once
+          await this.fetchImage(this.data.vectorUrl
+            ? this.vectorTileUrl(...this.nativeTile(x, y, zoom, this.data.vectorMaxZoom))
+            : this.tileUrl(...this.nativeTile(x, y, zoom, this.data.maxNativeZoom)));
+        }
+      }
+    }
+  },
+
+  // Compute the range of tiles at the given zoom level within radius_m around pos
+  // Returns [startX, startY, endX, endY], end values are exclusive
+  tileRange: function(pos, radius_m, zoom) {
+    let scale = 2 ** (this.data.zoom - zoom);
+    let tileX = (this.tileBase[0] + pos.x / this.tileSize_m) / scale;
+    let tileY = (this.tileBase[1] + pos.z / this.tileSize_m) / scale;
+
+    let radius = radius_m / (this.tileSize_m * scale);
+    let nTiles = 2 ** zoom;
     let startX = Math.floor(tileX - radius);
     let startY = Math.max(0, Math.floor(tileY - radius));
     let endX = Math.ceil(tileX + radius);
@@ -143,16 +541,50 @@ AFRAME.registerComponent('osm-tiles', {
     // using modulo for horizontal axis to wrap around the date line
     startX = (startX + nTiles) % nTiles;
     endX = (endX + nTiles) % nTiles;
+    return [startX, startY, endX, endY];
+  },
+
+  // Make sure that exactly the tiles within the radius around the given position are loaded
+  // Missing tiles are loaded, tiles outside the radius or covered by a finer ring are removed
+  // pos is the position in meters on the Aframe plane, its height extends the radius by altitudeFactor
+  loadTilesAround: function(pos) {
+    // only check again after moving a bit, as this runs on each tick
+    if (this.lastPosition && this.lastPosition.distanceTo(pos) < this.tileSize_m / 4) {
+      return;
+    }
+    this.lastPosition = pos.clone();
 
-    for (let y = startY; y < endY; y++) {
-      for (let x = startX; x < endX; x++) {
-        let xy = (y << this.data.zoom) + x;
-        if (!this.tilesLoaded.has(xy)) {
-          let tile = this.loadTile(x, y);
-          this.el.appendChild(tile);
-          this.tilesLoaded.add(xy);
+    let radius_m = this.data.radius_m + this.data.altitudeFactor * Math.max(0, pos.y);
+    let tiles = new Map(); // zoom/x/y tile ids to show, mapped to their [x, y, zoom]
+    let finer = null; // tile range of the previous, finer ring
+    let minZoom = Math.max(0, this.data.zoom - this.data.rings);
+    for (let zoom = this.data.zoom; zoom >= minZoom; zoom--) {
+      let [startX, startY, endX, endY] = this.tileRange(pos, radius_m * 2 ** (this.data.zoom - zoom), zoom);
+      for (let y = startY; y < endY; y++) {
+        for (let x = startX; x < endX; x++) {
+          // skip tiles whose four children at the finer zoom level are all shown
+          let isCovered = finer && 2 * x >= finer[0] && 2 * x + 1 < finer[2]
+            && 2 * y >= finer[1] && 2 * y + 1 < finer[3];
+          if (!isCovered) {
+            tiles.set(`${zoom}/${x}/${y}`, [x, y, zoom]);
+          }
         }
       }
+      finer = [startX, startY, endX, endY];
+    }
+
+    for (let [id, tile] of this.tilesLoaded) {
+      if (!tiles.has(id)) {
+        this.removeTile(tile);
+        this.tilesLoaded.delete(id);
+      }
+    }
+    for (let [id, [x, y, zoom]] of tiles) {
+      if (!this.tilesLoaded.has(id)) {
+        let tile = this.loadTile(x, y, zoom);
+        this.el.appendChild(tile);
+        this.tilesLoaded.set(id, tile);
+      }
     }
   }
 });
@@ -0,0 +1,104 @@
+// Tests of the flight model in birdman.js, whose step function only depends on its arguments
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+global.THREE = require('three');
+const {load} = require('./load.js');
+
+const birdman = load('birdman.js').birdman;
+
+// Get the component's default data, with a calm wind unless given
+function defaultParams(wind = {x: 0, y: 0, z: 0}) {
+  let params = {};
+  for (let [name, property] of Object.entries(birdman.schema)) {
+    params[name] = property.default;
+  }
+  params.wind = wind;
+  return params;
+}
+
+// Get the input of still controllers, the left one armHeightDiff_m higher than the right one
+function glide(armHeightDiff_m = 0) {
+  return {leftStroke: new THREE.Vector3(), rightStroke: new THREE.Vector3(), armWidth_m: 1.5,
+    armHeightDiff_m: armHeightDiff_m};
+}
+
+// Get the input of both controllers moving down and back, which pushes the rig up and forward
+function flap() {
+  let stroke = new THREE.Vector3(0, 1.5, -0.5);
+  return {leftStroke: stroke, rightStroke: stroke, armWidth_m: 1.5, armHeightDiff_m: 0};
+}
+
+// Fly for seconds at a frame rate like the component's tick, from a velocity heading north
+// inputAt(time_s) gives the input of each frame
+// Returns the position relative to the start, the last state and the stall state of each frame
+function fly(hz, seconds, inputAt, params = defaultParams(), velocity = new THREE.Vector3(0, 0, -15)) {
+  let position = new THREE.Vector3();
+  let state = {velocity: velocity, heading: 0, onGround: false};
+  let stalls = [];
+  let frames = Math.round(seconds * hz);
+  for (let i = 0; i < frames; i++) {
+    let next = birdman.step(state, inputAt(i / hz), params, 1 / hz);
+    state = {velocity: next.velocity, heading: next.heading, onGround: false};
+    position.addScaledVector(next.velocity, 1 / hz);
+    stalls.push(next.stalled);
+  }
+  return {position, state, stalls};
+}
+
+// Check that two positions are within tolerance_m of each other
+function assertNear(actual, expected, tolerance_m, message) {
+  let distance_m = actual.distanceTo(expected);
+  assert.ok(distance_m <= tolerance_m, `${message}: ${distance_m.toFixed(3)} m apart`);
+}
+
+test('step ends at the same position at 72, 90 and 120 Hz', () => {
+  for (let inputAt of [() => glide(), () => glide(0.5), time_s => time_s < 3 ? flap() : glide()]) {
+    let [at72, at90, at120] = [72, 90, 120].map(hz => fly(hz, 10, inputAt));
+    assert.ok(at120.position.length() > 100, 'flies a distance');
+    assertNear(at72.position, at120.position, 0.1, '72 and 120 Hz');
+    assertNear(at90.position, at120.position, 0.1, '90 and 120 Hz');
+  }
+});
+
+test('step glides without stalling and doesn\'t change its argument', () => {
+  let velocity = new THREE.Vector3(0, 0, -15);
+  let {position, state, stalls} = fly(90, 10, () => glide(), defaultParams(), velocity);
+  assert.deepEqual(velocity.toArray(), [0, 0, -15]);
+  assert.ok(!stalls.includes(true), 'no stall');
+  assert.ok(position.y < 0, 'sinks');
+  assert.ok(-position.z > 5 * -position.y, 'glides further than it sinks');
+  assert.equal(state.heading, 0);
+});
+
+test('step stalls when flapping stops and recovers in the dive', () => {
+  let {stalls} = fly(90, 12, time_s => time_s < 3 ? flap() : glide(), defaultParams(), new THREE.Vector3(0, 0, -14));
+  let stopped = 3 * 90;
+  assert.ok(!stalls.slice(0, stopped).includes(true), 'no stall while flapping');
+  let stall = stalls.indexOf(true, stopped);
+  assert.ok(stall > stopped, 'stalls after flapping stops');
+  assert.ok(stalls.indexOf(false, stall) > stall, 'recovers');
+  assert.equal(stalls[stalls.length - 1], false);
+});
+
+test('step turns towards the lower hand', () => {
+  let right = fly(90, 3, () => glide(0.5));
+  assert.ok(right.state.heading < 0, 'left hand higher turns clockwise');
+  assert.ok(right.position.x > 0, 'to the east when heading north');
+  let left = fly(90, 3, () => glide(-0.5));
+  assert.ok(left.state.heading > 0, 'right hand higher turns counterclockwise');
+  assert.ok(left.position.x < 0, 'to the west when heading north');
+  assert.ok(Math.abs(left.state.heading + right.state.heading) < 1e-9, 'symmetric');
+});
+
+test('step drifts with the wind', () => {
+  let calm = fly(90, 10, () => glide());
+  // the rig flies at the same airspeed, so its velocity includes the wind
+  let wind = {x: 3, y: 0, z: 0};
+  let windy = fly(90, 10, () => glide(), defaultParams(wind), new THREE.Vector3(3, 0, -15));
+  assertNear(windy.position, calm.position.clone().add(new THREE.Vector3(30, 0, 0)), 1e-6, 'drift of 10 s');
+  // starting still in the air, the wind carries it along
+  let carried = fly(90, 10, () => glide(), defaultParams(wind), new THREE.Vector3(0, 0, -15));
+  assert.ok(carried.position.x > 0, 'drifts east');
+  assert.ok(carried.state.velocity.x > 0, 'picks up the wind');
+});
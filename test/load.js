@@ -0,0 +1,38 @@
+// Load the browser scripts in node for tests, with a minimal stand-in for AFRAME like in osm-geojson-worker.js
+// Scripts run in the global scope like script tags, so their globals declared with const (e.g. osmGeo) are shared
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// registered components and systems by name
+const definitions = {};
+global.AFRAME = {
+  registerComponent: function(name, definition) {
+    definitions[name] = definition;
+  },
+  registerSystem: function(name, definition) {
+    definitions[name] = definition;
+  }
+};
+
+const loaded = new Set();
+
+// Run scripts of the repository, each only once, and return the definitions registered so far
+function load(...files) {
+  for (let file of files) {
+    if (!loaded.has(file)) {
+      let filename = path.join(__dirname, '..', file);
+      vm.runInThisContext(fs.readFileSync(filename, 'utf8'), {filename: filename});
+      loaded.add(file);
+    }
+  }
+  return definitions;
+}
+
+// Get a global of the loaded scripts by name, e.g. 'osmGeo'
+function globalOf(name) {
+  return vm.runInThisContext(name);
+}
+
+module.exports = {load, globalOf};
@@ -0,0 +1,78 @@
+// Tests of the Web Mercator projection in osm-geo.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {load, globalOf} = require('./load.js');
+
+load('osm-geo.js');
+const osmGeo = globalOf('osmGeo');
+
+// Check that two numbers are equal within a tolerance
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message || ''} expected ${expected}, got ${actual}`);
+}
+
+test('latlon2fractionalTileId finds the Berlin center tile at zoom 14', () => {
+  let [x, y] = osmGeo.latlon2fractionalTileId(52.52, 13.41, 14);
+  assert.equal(Math.floor(x), 8802);
+  assert.equal(Math.floor(y), 5373);
+});
+
+test('tileId2latlon is the inverse of latlon2fractionalTileId', () => {
+  let [x, y] = osmGeo.latlon2fractionalTileId(52.52, 13.41, 14);
+  let [lat, lon] = osmGeo.tileId2latlon(x, y, 14);
+  assertClose(lat, 52.52, 1e-9);
+  assertClose(lon, 13.41, 1e-9);
+});
+
+test('tile2bbox returns the corners of the tile', () => {
+  let [south, west, north, east] = osmGeo.tile2bbox(8802, 5373, 14);
+  assert.ok(south < 52.52 && 52.52 < north, 'contains the latitude');
+  assert.ok(west < 13.41 && 13.41 < east, 'contains the longitude');
+  assertClose(west, 8802 / 2 ** 14 * 360 - 180, 1e-9, 'west');
+  assertClose(east, 8803 / 2 ** 14 * 360 - 180, 1e-9, 'east');
+  // the north west corner is the tile's origin, the south east corner the origin of the next tile
+  let [x, y] = osmGeo.latlon2fractionalTileId(north, west, 14);
+  assertClose(x, 8802, 1e-6, 'north west x');
+  assertClose(y, 5373, 1e-6, 'north west y');
+  [x, y] = osmGeo.latlon2fractionalTileId(south, east, 14);
+  assertClose(x, 8803, 1e-6, 'south east x');
+  assertClose(y, 5374, 1e-6, 'south east y');
+  // neighbouring tiles share their edges
+  let [southOfNorth] = osmGeo.tile2bbox(8802, 5372, 14);
+  assertClose(southOfNorth, north, 1e-12, 'shared edge');
+});
+
+test('lat2tileWidth_m shrinks with the latitude and halves per zoom level', () => {
+  assert.equal(osmGeo.lat2tileWidth_m(0, 0), osmGeo.EQUATOR_M);
+  assertClose(osmGeo.lat2tileWidth_m(60, 0), osmGeo.EQUATOR_M / 2, 1e-6);
+  assertClose(osmGeo.lat2tileWidth_m(52.52, 14), 1488.34, 0.01);
+  assertClose(osmGeo.lat2tileWidth_m(52.52, 15), osmGeo.lat2tileWidth_m(52.52, 14) / 2, 1e-9);
+});
+
+test('latlon2plane_m puts the origin at 0 with x east and z south', () => {
+  let [x_m, z_m] = osmGeo.latlon2plane_m(52.52, 13.41, 52.52, 13.41);
+  assert.equal(x_m, 0);
+  assert.equal(z_m, 0);
+  [x_m, z_m] = osmGeo.latlon2plane_m(52.53, 13.42, 52.52, 13.41);
+  assert.ok(x_m > 0, 'east is positive x');
+  assert.ok(z_m < 0, 'north is negative z');
+  // distances are real-world size at the origin, 0.01 degrees of longitude are about 677 m in Berlin
+  assertClose(x_m, osmGeo.EQUATOR_M * Math.cos(52.52 * Math.PI / 180) / 36000, 1e-6);
+});
+
+test('plane2latlon and latlon2plane_m round trip', () => {
+  let origin = [52.52, 13.41];
+  for (let [lat, lon] of [[52.52, 13.41], [52.5163, 13.3777], [52.6, 13.2], [48.1374, 11.5755], [-33.86, 151.21]]) {
+    let [x_m, z_m] = osmGeo.latlon2plane_m(lat, lon, ...origin);
+    let [lat2, lon2] = osmGeo.plane2latlon(x_m, z_m, ...origin);
+    assertClose(lat2, lat, 1e-9, 'lat');
+    assertClose(lon2, lon, 1e-9, 'lon');
+  }
+  for (let [x_m, z_m] of [[0, 0], [1000, -2000], [-12345.6, 789]]) {
+    let [lat, lon] = osmGeo.plane2latlon(x_m, z_m, ...origin);
+    let [x2_m, z2_m] = osmGeo.latlon2plane_m(lat, lon, ...origin);
+    assertClose(x2_m, x_m, 1e-6, 'x');
+    assertClose(z2_m, z_m, 1e-6, 'z');
+  }
+});
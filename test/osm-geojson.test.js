@@ -0,0 +1,246 @@
+// Tests of osm-geojson.js: matching buildings with their parts for tile batches loaded in any order, features of
+// several batches, and raycast
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+global.THREE = Object.assign({}, require('three'));
+const {load} = require('./load.js');
+
+// A-Frame has BufferGeometryUtils on THREE, three's node package only as module
+test.before(async () => {
+  let utils = await import('three/examples/jsm/utils/BufferGeometryUtils.js');
+  THREE.BufferGeometryUtils = {mergeBufferGeometries: utils.mergeGeometries};
+});
+
+const definition = load('osm-geo.js', 'osm-tile-loader.js', 'osm-geojson.js')['osm-geojson'];
+const geojson = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'buildingparts.geojson'), 'utf8'));
+const TOWER = geojson.features.find(feature => feature.properties.name == 'Berliner Fernsehturm').id;
+const SCHLOSS = geojson.features.find(feature => feature.properties.name == 'Berliner Schloss').id;
+
+// Create a component that isn't attached to a scene, with stand-ins for the entities of its batches
+// Each batch entity has one vertex per feature that would be built, so hidden features have a zero position
+function createComponent() {
+  let component = Object.create(definition);
+  component.init();
+  component.el = {children: []};
+  component.entities = new Map();
+  return component;
+}
+
+// the parts matched with the tower when loading everything at once
+const TOWER_PARTS = (() => {
+  let component = createComponent();
+  component.filterBuildingParts(JSON.parse(JSON.stringify(geojson.features)), component.featuresLoaded);
+  let partIds = component.buildings.get(TOWER).parts;
+  return geojson.features.filter(feature => partIds.has(feature.id));
+})();
+
+// Load the features of a batch like addBuildings, without building their geometry
+function loadBatch(component, batch, features) {
+  let copies = JSON.parse(JSON.stringify(features));
+  let ids = Array.from(component.filterBuildingParts(copies, component.featuresLoaded, batch));
+  let position = {array: new Float32Array(ids.length * 3).fill(1)};
+  let mesh = {geometry: {getAttribute: () => position},
+    userData: {features: ids.map((id, i) => ({id: id, start: i, count: 1}))}};
+  let entity = {parentNode: component.el, getObject3D: () => mesh};
+  component.el.children.push(entity);
+  component.entities.set(batch, entity);
+  component.hideBuildings(component.replaced.splice(0));
+}
+
+// Unload a batch like unloadBatch
+function unloadBatch(component, batch) {
+  let ids = Object.keys(component.featuresLoaded).filter(id => component.featuresLoaded[id] === batch);
+  let shown = component.forgetFeatures(ids);
+  let entity = component.entities.get(batch);
+  component.el.children.splice(component.el.children.indexOf(entity), 1);
+  entity.parentNode = null;
+  component.entities.delete(batch);
+  component.showBuildings(shown);
+}
+
+// Get the sorted ids of the visible features
+function visible(component) {
+  let ids = [];
+  for (let entity of component.el.children) {
+    let mesh = entity.getObject3D('mesh');
+    let array = mesh.geometry.getAttribute('position').array;
+    ids.push(...mesh.userData.features.filter(feature => array[feature.start * 3] != 0).map(feature => feature.id));
+  }
+  return ids.sort();
+}
+
+// Get the visible features when loading all features at once
+function loadAtOnce(features) {
+  let component = createComponent();
+  loadBatch(component, 'all', features);
+  return visible(component);
+}
+
+test('the TV tower is replaced by its parts, the Schloss keeps its single part', () => {
+  let ids = loadAtOnce(geojson.features);
+  assert.ok(!ids.includes(TOWER), 'tower hidden');
+  assert.ok(TOWER_PARTS.every(part => ids.includes(part.id)), 'tower parts shown');
+  assert.ok(ids.includes(SCHLOSS), 'Schloss shown');
+});
+
+test('parts loaded before their building replace it, until they are unloaded', () => {
+  let component = createComponent();
+  let tower = geojson.features.filter(feature => feature.id == TOWER);
+  loadBatch(component, 'parts', TOWER_PARTS);
+  loadBatch(component, 'tower', tower);
+  assert.ok(!visible(component).includes(TOWER), 'tower hidden');
+  unloadBatch(component, 'parts');
+  assert.deepEqual(visible(component), [TOWER]);
+  loadBatch(component, 'parts again', TOWER_PARTS);
+  assert.ok(!visible(component).includes(TOWER), 'tower hidden again');
+  unloadBatch(component, 'tower');
+  assert.deepEqual(visible(component), TOWER_PARTS.map(part => part.id).sort());
+});
+
+test('buildings and parts show the same in any load order and after unloading a batch', () => {
+  let expected = loadAtOnce(geojson.features);
+  let seed = 1;
+  let random = () => (seed = seed * 16807 % 2147483647) / 2147483647;
+  for (let run = 0; run < 50; run++) {
+    let batches = Array.from({length: 2 + Math.floor(random() * 3)}, () => []);
+    for (let feature of geojson.features) {
+      batches[Math.floor(random() * batches.length)].push(feature);
+    }
+    let component = createComponent();
+    batches.forEach((features, i) => loadBatch(component, i, features));
+    assert.deepEqual(visible(component), expected, `run ${run} loaded`);
+    let unloaded = Math.floor(random() * batches.length);
+    unloadBatch(component, unloaded);
+    assert.deepEqual(visible(component), loadAtOnce(batches.filter((features, i) => i != unloaded).flat()),
+      `run ${run} without batch ${unloaded}`);
+    loadBatch(component, 'reloaded', batches[unloaded]);
+    assert.deepEqual(visible(component), expected, `run ${run} reloaded`);
+  }
+});
+
+// Create a component that builds the geometry of its batches, with stand-ins for their entities
+function createBuilder() {
+  let component = createComponent();
+  component.data = {roads: false, areas: false, trees: false, ambientOcclusion: false};
+  component.origin = {lat: 52.5186, lon: 13.4081};
+  component.addGeometry = (geometry) => {
+    if (!geometry) {
+      return null;
+    }
+    let mesh = {geometry: geometry, userData: {features: geometry.userData.features}};
+    let entity = {parentNode: component.el, getObject3D: (name) => name == 'mesh' ? mesh : null};
+    component.el.children.push(entity);
+    return entity;
+  };
+  component.removeEntity = (entity) => {
+    component.el.children.splice(component.el.children.indexOf(entity), 1);
+    entity.parentNode = null;
+  };
+  return component;
+}
+
+// Load the features of a batch with addBuildings like requestBatch
+function buildBatch(component, features) {
+  let batch = {tiles: [], box: null, entities: [], shared: new Map(), origin: component.origin, requestId: null};
+  component.batches.add(batch);
+  let entity = component.addBuildings({type: 'FeatureCollection', features: JSON.parse(JSON.stringify(features))},
+    batch);
+  if (entity) {
+    batch.entities.push(entity);
+  }
+  return batch;
+}
+
+test('features of several batches stay until the last of them is unloaded', () => {
+  let seed = 7;
+  let random = () => (seed = seed * 16807 % 2147483647) / 2147483647;
+  let union = (batches) => Array.from(new Map(batches.flat().map(feature => [feature.id, feature])).values());
+  for (let run = 0; run < 20; run++) {
+    // each feature is in one or two batches, like buildings crossing a tile border
+    let batches = Array.from({length: 2 + Math.floor(random() * 3)}, () => []);
+    for (let feature of geojson.features) {
+      let first = Math.floor(random() * batches.length);
+      batches[first].push(feature);
+      if (random() < 0.4) {
+        batches[(first + 1 + Math.floor(random() * (batches.length - 1))) % batches.length].push(feature);
+      }
+    }
+    let component = createBuilder();
+    let loaded = batches.map(features => buildBatch(component, features));
+    assert.deepEqual(visible(component), loadAtOnce(union(batches)), `run ${run} loaded`);
+    let remaining = batches.map((features, i) => i);
+    while (remaining.length > 1) {
+      let unloaded = remaining.splice(Math.floor(random() * remaining.length), 1)[0];
+      component.unloadBatch(loaded[unloaded]);
+      assert.deepEqual(visible(component), loadAtOnce(union(remaining.map(i => batches[i]))),
+        `run ${run} without batch ${unloaded}`);
+    }
+    component.unloadBatch(loaded[remaining[0]]);
+    assert.deepEqual(visible(component), [], `run ${run} unloaded`);
+    assert.deepEqual(component.featuresLoaded, {}, `run ${run} forgotten`);
+  }
+});
+
+// Create a mesh of random boxes, like the merged geometry of a batch, moved and scaled like by rebase
+function createBoxesMesh(random) {
+  let positions = [];
+  for (let i = 0; i < 40; i++) {
+    let height = 3 + random() * 40;
+    let box = new THREE.BoxGeometry(5 + random() * 20, height, 5 + random() * 20).toNonIndexed();
+    box.translate(random() * 400 - 200, height / 2, random() * 400 - 200);
+    positions.push(...box.getAttribute('position').array);
+  }
+  let geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  let mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial());
+  mesh.position.set(30, 0, -20);
+  mesh.scale.set(1.1, 1, 1.1);
+  mesh.updateMatrixWorld();
+  return mesh;
+}
+
+test('raycast and heightAt find the same surfaces as three\'s raycaster', () => {
+  let seed = 3;
+  let random = () => (seed = seed * 16807 % 2147483647) / 2147483647;
+  let component = createComponent();
+  let mesh = createBoxesMesh(random);
+  component.buildingMeshes = () => [mesh];
+  let raycaster = new THREE.Raycaster();
+  let hits = 0;
+  for (let i = 0; i < 2000; i++) {
+    // rays towards a random corner of a box, most of them hit it or another one
+    let position = mesh.geometry.getAttribute('position');
+    let corner = new THREE.Vector3().fromBufferAttribute(position, Math.floor(random() * position.count))
+      .applyMatrix4(mesh.matrixWorld);
+    let direction = i % 2 ? new THREE.Vector3(0, -1, 0)
+      : new THREE.Vector3(random() - 0.5, (random() - 0.5) * 0.2, random() - 0.5).normalize();
+    let origin = corner.addScaledVector(direction, -30).add(new THREE.Vector3(random() * 4 - 2, 0, random() * 4 - 2));
+    let far = i % 3 ? 50 + random() * 200 : Infinity;
+    raycaster.set(origin, direction);
+    raycaster.far = far;
+    let expected = raycaster.intersectObject(mesh, false)[0];
+    let hit = component.raycast(origin, direction, far);
+    assert.equal(Boolean(hit), Boolean(expected), `ray ${i}`);
+    if (expected) {
+      hits++;
+      assert.ok(Math.abs(hit.distance - expected.distance) < 1e-6, `distance of ray ${i}`);
+      assert.ok(hit.normal.distanceTo(expected.face.normal.transformDirection(mesh.matrixWorld)) < 1e-6,
+        `normal of ray ${i}`);
+    }
+  }
+  assert.ok(hits > 500, 'hits boxes');
+  // heightAt is the highest roof below a position, or the ground
+  let roofs = 0;
+  for (let i = 0; i < 200; i++) {
+    let [x, z] = [random() * 500 - 220, random() * 500 - 240];
+    raycaster.set(new THREE.Vector3(x, 100, z), new THREE.Vector3(0, -1, 0));
+    raycaster.far = Infinity;
+    let expected = raycaster.intersectObject(mesh, false)[0];
+    roofs += expected ? 1 : 0;
+    assert.ok(Math.abs(component.heightAt(x, z, 100) - (expected ? expected.point.y : 0)) < 1e-6, `height ${i}`);
+  }
+  assert.ok(roofs > 0, 'finds roofs');
+});
@@ -0,0 +1,167 @@
+// Tests of the vector tile decoder and the clipping in osm-mvt.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {load, globalOf} = require('./load.js');
+
+load('osm-mvt.js');
+const osmMvt = globalOf('osmMvt');
+
+// Encode an unsigned integer as varint bytes
+function varint(value) {
+  let bytes = [];
+  while (value >= 0x80) {
+    bytes.push(value % 0x80 + 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+  return bytes;
+}
+
+// Encode a field with a varint value, or a length delimited one for an array of bytes
+function field(number, value) {
+  return Array.isArray(value) ? [...varint(number * 8 + 2), ...varint(value.length), ...value]
+    : [...varint(number * 8), ...varint(value)];
+}
+
+// Encode a signed integer with zigzag
+function zigzag(value) {
+  return value < 0 ? -2 * value - 1 : 2 * value;
+}
+
+// Encode lines (or rings, closed with ClosePath) of [x, y] integer points as geometry commands
+function commands(lines, close) {
+  let result = [];
+  let [x, y] = [0, 0];
+  for (let line of lines) {
+    line.forEach(([px, py], i) => {
+      if (i < 2) {
+        // MoveTo with one point, then one LineTo with the remaining points
+        result.push(i == 0 ? 1 | 1 << 3 : 2 | (line.length - 1) << 3);
+      }
+      result.push(zigzag(px - x), zigzag(py - y));
+      [x, y] = [px, py];
+    });
+    if (close) {
+      result.push(7 | 1 << 3);
+    }
+  }
+  return result;
+}
+
+// Encode an array of varints as packed field
+function packed(number, values) {
+  return field(number, values.flatMap(varint));
+}
+
+// Encode a layer with features [{id, type, tags, geometry}], keys and values (as encoded value messages)
+function layer(name, extent, features, keys, values) {
+  let bytes = [...field(15, 2), ...field(1, [...Buffer.from(name)])];
+  for (let feature of features) {
+    bytes.push(...field(2, [...field(1, feature.id), ...packed(2, feature.tags), ...field(3, feature.type),
+      ...packed(4, feature.geometry)]));
+  }
+  for (let key of keys) {
+    bytes.push(...field(3, [...Buffer.from(key)]));
+  }
+  for (let value of values) {
+    bytes.push(...field(4, value));
+  }
+  bytes.push(...field(5, extent));
+  return field(3, bytes);
+}
+
+// Convert bytes to the ArrayBuffer that decode expects
+function buffer(bytes) {
+  return new Uint8Array(bytes).buffer;
+}
+
+test('readVarint reads single and multi-byte varints', () => {
+  for (let value of [0, 1, 127, 128, 300, 16384, 2 ** 32 + 5, 2 ** 53 - 1]) {
+    let pbf = {bytes: new Uint8Array(varint(value)), pos: 0};
+    assert.equal(osmMvt.readVarint(pbf), value);
+    assert.equal(pbf.pos, pbf.bytes.length, `all bytes of ${value} are read`);
+  }
+});
+
+test('zigzag decodes alternating positive and negative numbers', () => {
+  assert.deepEqual([0, 1, 2, 3, 4, 4095, 4096].map(value => osmMvt.zigzag(value)), [0, -1, 1, -2, 2, -2048, 2048]);
+  for (let value of [-100000, -1, 0, 7, 100000]) {
+    assert.equal(osmMvt.zigzag(zigzag(value)), value);
+  }
+});
+
+test('decode reads layers, properties of all value types and skips unknown fields', () => {
+  // value messages: string, double, int64 (negative with all 64 bits), uint64, sint64 and bool
+  let double = new Uint8Array(new Float64Array([1.5]).buffer);
+  let values = [
+    field(1, [...Buffer.from('river')]),
+    [...varint(3 * 8 + 1), ...double],
+    [...varint(4 * 8), 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x01],
+    field(5, 300),
+    field(6, zigzag(-7)),
+    field(7, 1)
+  ];
+  let features = [
+    {id: 1, type: 2, tags: [0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5], geometry: commands([[[0, 0], [50, 25], [100, 0]]])},
+    {id: 2, type: 1, tags: [], geometry: commands([[[25, 75]]])},
+    {id: 3, type: 9, tags: [], geometry: []}
+  ];
+  let tile = osmMvt.decode(buffer([...field(7, 1), ...layer('waterway', 100, features,
+    ['class', 'width', 'level', 'length', 'offset', 'intermittent'], values)]));
+  assert.deepEqual(Object.keys(tile), ['waterway']);
+  assert.equal(tile.waterway.length, 2, 'unknown geometry types are dropped');
+  let [line, point] = tile.waterway;
+  assert.deepEqual(line, {id: 1, type: 'line', geometry: [[[0, 0], [0.5, 0.25], [1, 0]]],
+    properties: {class: 'river', width: 1.5, level: -1, length: 300, offset: -7, intermittent: true}});
+  assert.deepEqual(point, {id: 2, type: 'point', properties: {}, geometry: [[0.25, 0.75]]});
+});
+
+test('decode starts a polygon with each clockwise ring and adds the counter-clockwise ones as holes', () => {
+  let outer = [[0, 0], [40, 0], [40, 40], [0, 40]];
+  let hole = [[10, 10], [10, 30], [30, 30], [30, 10]];
+  let second = [[60, 60], [90, 60], [90, 90], [60, 90]];
+  let flat = [[50, 50], [60, 50], [70, 50]];
+  let features = [{id: 1, type: 3, tags: [], geometry: commands([outer, hole, second, flat, hole], true)}];
+  let tile = osmMvt.decode(buffer(layer('water', 100, features, [], [])));
+  let close = ring => [...ring, ring[0]].map(([x, y]) => [x / 100, y / 100]);
+  assert.deepEqual(tile.water[0].geometry, [[close(outer), close(hole)], [close(second), close(hole)]],
+    'rings without area are dropped');
+});
+
+test('decode keeps a counter-clockwise first ring as outer ring', () => {
+  let ring = [[0, 0], [0, 40], [40, 40], [40, 0]];
+  let tile = osmMvt.decode(buffer(layer('water', 100, [{id: 1, type: 3, tags: [], geometry: commands([ring], true)}],
+    [], [])));
+  assert.equal(tile.water[0].geometry.length, 1);
+  assert.equal(tile.water[0].geometry[0].length, 1);
+});
+
+test('ringArea is positive for clockwise rings with y pointing down', () => {
+  assert.equal(osmMvt.ringArea([[0, 0], [2, 0], [2, 1], [0, 1]]), 2);
+  assert.equal(osmMvt.ringArea([[0, 0], [0, 1], [2, 1], [2, 0]]), -2);
+});
+
+test('clipRing cuts a ring at the edges of the area', () => {
+  let area = [0, 0, 1];
+  let inside = [[0.25, 0.25], [0.75, 0.25], [0.75, 0.75], [0.25, 0.25]];
+  assert.deepEqual(osmMvt.clipRing(inside, area), inside.slice(0, -1), 'inside without the closing point');
+  assert.deepEqual(osmMvt.clipRing([[2, 2], [3, 2], [3, 3], [2, 2]], area), [], 'outside');
+
+  let clipped = osmMvt.clipRing([[-1, 0.25], [0.5, 0.25], [0.5, 0.75], [-1, 0.75], [-1, 0.25]], area);
+  assert.deepEqual(clipped.map(point => point.join()).sort(), ['0,0.25', '0,0.75', '0.5,0.25', '0.5,0.75']);
+  assert.equal(osmMvt.ringArea(clipped), 0.25, 'keeps the winding');
+
+  // a ring around the whole area becomes the area
+  clipped = osmMvt.clipRing([[-1, -1], [2, -1], [2, 2], [-1, 2]], [0.5, 0, 0.5]);
+  assert.deepEqual(clipped.map(point => point.join()).sort(), ['0.5,0', '0.5,0.5', '1,0', '1,0.5']);
+});
+
+test('clipLine returns the parts of a line inside the area', () => {
+  let area = [0, 0, 1];
+  assert.deepEqual(osmMvt.clipLine([[-0.5, 0.5], [0.5, 0.5], [1.5, 0.5]], area), [[[0, 0.5], [0.5, 0.5], [1, 0.5]]]);
+  assert.deepEqual(osmMvt.clipLine([[0.5, 0.5], [1.5, 0.5], [1.5, 0.75], [0.5, 0.75]], area),
+    [[[0.5, 0.5], [1, 0.5]], [[1, 0.75], [0.5, 0.75]]], 'leaves and comes back');
+  assert.deepEqual(osmMvt.clipLine([[2, 0], [2, 1]], area), [], 'outside');
+  assert.deepEqual(osmMvt.clipLine([[-1, 2], [2, -1]], area), [[[0, 1], [1, 0]]], 'crosses the corners');
+});
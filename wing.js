@@ -1,22 +1,28 @@
+// A-Frame component for a hand controller used as wing by birdman, it tracks how fast the controller is moved
+//
+// smoothing_s: time in seconds over which the velocity is smoothed, so a single jittery frame doesn't count much
+
 AFRAME.registerComponent('wing', {
   schema: {
+    smoothing_s: {type: 'number', default: 0.05}
   },
 
   init: function() {
     this.pos = this.el.getAttribute('position').clone();
 
-    // opposite direction of controller movement, with smoothing
-    this.dir = new THREE.Vector3(0, 0, 0);
+    // velocity of the air pushed by the wing in meters per second, opposite to the controller's movement, smoothed
+    this.velocity = new THREE.Vector3(0, 0, 0);
+    this.frameVelocity = new THREE.Vector3(0, 0, 0);
   },
-  
-  tick: function () {
-    let rot = this.el.getAttribute('rotation');
-    let pos = this.el.getAttribute('position');
 
-    // opposite direction of controller movement, with smoothing
-    // equation: invdir = invdir / 2 + oldPos - pos
-    let inverseDir = this.pos.sub(pos);
-    this.dir.divideScalar(2).add(inverseDir);
+  tick: function (time, timeDelta) {
+    let pos = this.el.getAttribute('position');
+    if (timeDelta > 0) {
+      this.frameVelocity.subVectors(this.pos, pos).divideScalar(timeDelta / 1000);
+      // exponential smoothing, which weighs the past the same at any frame rate
+      let factor = 1 - Math.exp(-timeDelta / 1000 / Math.max(this.data.smoothing_s, 0.001));
+      this.velocity.lerp(this.frameVelocity, factor);
+    }
     this.pos.copy(pos);
   }
 })